@@ -0,0 +1,15 @@
+// BloomWatch - Region Boundaries
+// Generalized outlines for the Region Selection options (lng/lat, buffered to include coastal waters)
+
+const REGION_BOUNDARIES = {
+    type: 'FeatureCollection',
+    features: [
+        {"type": "Feature", "id": "india", "properties": {"name": "India"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[67.5, 23.0], [69.5, 26.5], [71.0, 28.0], [73.5, 30.0], [74.5, 32.5], [74.0, 35.0], [77.5, 35.5], [79.0, 33.0], [79.0, 31.0], [81.0, 30.0], [84.0, 28.0], [88.0, 27.5], [88.5, 28.0], [92.0, 28.0], [97.0, 28.0], [96.0, 26.5], [94.0, 23.0], [93.0, 22.0], [92.0, 23.5], [91.5, 25.0], [89.8, 26.0], [89.5, 22.0], [87.0, 20.5], [84.5, 18.5], [82.5, 16.5], [80.5, 15.0], [80.5, 13.0], [80.0, 10.0], [78.5, 8.5], [77.5, 7.5], [76.0, 8.5], [75.0, 12.0], [73.5, 16.0], [72.0, 19.0], [71.5, 20.5], [69.0, 21.5], [67.5, 23.0]]]]}},
+        {"type": "Feature", "id": "usa", "properties": {"name": "United States"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-124.8, 48.5], [-123.0, 49.0], [-95.0, 49.0], [-89.5, 48.0], [-84.5, 46.5], [-82.5, 45.5], [-82.5, 42.0], [-79.0, 43.5], [-76.0, 44.5], [-74.5, 45.0], [-71.5, 45.0], [-69.0, 47.5], [-67.0, 45.0], [-70.0, 41.5], [-74.0, 40.0], [-75.5, 37.0], [-76.0, 35.0], [-81.0, 31.5], [-80.0, 27.0], [-80.0, 25.0], [-81.5, 24.5], [-83.5, 27.0], [-84.5, 29.5], [-89.0, 30.0], [-90.0, 29.0], [-94.0, 29.5], [-97.5, 26.0], [-99.5, 27.5], [-101.5, 29.8], [-104.5, 29.5], [-106.5, 31.8], [-111.0, 31.3], [-114.8, 32.5], [-117.2, 32.5], [-120.5, 34.5], [-122.5, 37.0], [-124.5, 40.5], [-124.8, 48.5]]]]}},
+        {"type": "Feature", "id": "europe", "properties": {"name": "Europe"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-10.5, 35.8], [-10.5, 44.0], [-5.0, 48.0], [-10.5, 51.5], [-8.5, 55.5], [-7.0, 58.8], [-1.0, 60.8], [4.5, 62.0], [10.0, 66.0], [15.0, 69.5], [25.0, 71.5], [32.0, 70.0], [40.0, 68.0], [45.0, 68.5], [60.0, 69.0], [60.0, 55.0], [59.0, 51.0], [51.0, 47.0], [49.0, 46.5], [47.0, 43.0], [42.0, 41.3], [29.0, 41.1], [26.0, 40.0], [26.5, 35.0], [19.0, 39.0], [15.0, 36.3], [12.0, 37.0], [8.0, 38.5], [2.0, 38.5], [-2.0, 36.2], [-6.0, 35.8], [-10.5, 35.8]]]]}},
+        {"type": "Feature", "id": "asia", "properties": {"name": "Asia"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[26.0, 40.0], [29.0, 41.1], [42.0, 41.3], [47.0, 43.0], [49.0, 46.5], [51.0, 47.0], [59.0, 51.0], [60.0, 55.0], [60.0, 69.0], [70.0, 73.5], [100.0, 78.0], [140.0, 76.0], [180.0, 72.0], [180.0, 62.0], [163.0, 55.0], [157.0, 50.0], [146.0, 44.0], [142.5, 39.0], [141.0, 35.0], [133.0, 31.0], [128.0, 31.0], [123.0, 25.0], [122.0, 18.0], [127.5, 12.0], [127.0, 5.0], [141.0, -2.0], [141.0, -9.0], [125.0, -11.0], [115.0, -9.5], [105.0, -7.0], [95.0, 5.5], [93.0, 13.0], [82.0, 6.0], [79.0, 5.5], [76.0, 8.0], [72.5, 19.0], [66.0, 24.0], [58.0, 21.0], [52.0, 16.0], [43.3, 12.6], [41.0, 15.0], [38.5, 20.0], [35.0, 28.0], [34.2, 29.5], [34.0, 31.3], [35.0, 33.5], [36.0, 36.0], [30.0, 36.2], [27.0, 36.8], [26.0, 39.0], [26.0, 40.0]]]]}},
+        {"type": "Feature", "id": "africa", "properties": {"name": "Africa"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-17.5, 14.7], [-17.0, 21.0], [-13.0, 27.5], [-10.0, 29.5], [-9.8, 32.0], [-6.5, 34.5], [-5.8, 36.0], [-2.0, 35.5], [3.0, 37.0], [10.5, 37.5], [11.5, 34.0], [20.0, 31.0], [25.0, 32.0], [32.0, 31.5], [34.0, 31.3], [34.2, 29.5], [35.0, 28.0], [38.5, 20.0], [41.0, 15.0], [43.3, 12.6], [51.5, 12.0], [51.0, 10.5], [48.0, 4.0], [41.5, -2.0], [40.5, -10.5], [40.5, -15.0], [35.5, -24.0], [33.0, -26.0], [32.5, -29.0], [27.5, -33.8], [20.0, -35.2], [18.0, -34.5], [17.5, -30.0], [11.5, -17.0], [13.5, -11.0], [12.0, -5.5], [9.0, -1.0], [9.5, 4.0], [5.0, 4.3], [3.0, 6.0], [-3.5, 4.8], [-7.5, 4.3], [-13.5, 8.0], [-15.0, 10.5], [-17.5, 14.7]]], [[[43.0, -25.5], [44.0, -16.0], [49.5, -12.0], [50.5, -15.5], [47.0, -25.5], [43.0, -25.5]]]]}},
+        {"type": "Feature", "id": "south-america", "properties": {"name": "South America"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-81.5, -5.0], [-80.5, 0.5], [-79.0, 1.5], [-77.5, 7.5], [-75.0, 11.0], [-71.5, 12.5], [-68.0, 10.8], [-62.0, 10.7], [-60.0, 8.5], [-57.0, 6.0], [-52.0, 5.0], [-50.0, 1.8], [-48.5, -0.5], [-44.0, -2.5], [-38.5, -3.7], [-35.0, -5.5], [-34.8, -7.5], [-37.0, -11.0], [-39.0, -13.5], [-39.0, -17.5], [-40.5, -21.0], [-42.0, -23.0], [-48.0, -25.5], [-48.5, -28.5], [-53.0, -34.0], [-57.5, -36.0], [-57.0, -38.5], [-62.0, -39.0], [-65.0, -42.0], [-65.5, -47.5], [-69.0, -51.5], [-68.5, -55.5], [-71.5, -55.0], [-75.5, -50.0], [-74.0, -44.0], [-73.5, -37.0], [-71.5, -30.0], [-70.5, -18.5], [-76.0, -14.0], [-79.5, -8.0], [-81.5, -5.0]]]]}},
+        {"type": "Feature", "id": "australia", "properties": {"name": "Australia"}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[113.0, -22.0], [114.0, -26.5], [115.0, -34.5], [118.0, -35.5], [123.5, -34.0], [131.0, -31.5], [135.5, -35.0], [138.0, -35.7], [140.5, -38.0], [146.5, -39.5], [150.0, -37.5], [153.6, -28.0], [153.0, -25.0], [146.0, -19.0], [142.5, -10.5], [141.5, -13.0], [141.0, -17.0], [139.5, -17.5], [136.0, -16.0], [137.0, -12.0], [132.0, -11.0], [129.0, -15.0], [126.0, -13.8], [122.0, -17.0], [118.0, -20.5], [113.0, -22.0]]], [[[144.5, -40.5], [148.5, -40.5], [148.3, -43.5], [146.5, -43.8], [144.5, -40.5]]]]}}
+    ]
+};
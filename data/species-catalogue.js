@@ -0,0 +1,36 @@
+// BloomWatch - Species Catalogue
+// Taxonomy, generalized native ranges (lng/lat) and expected flowering months (1-12) per hemisphere for the tracked species
+
+const SPECIES_CATALOGUE = {
+    type: 'FeatureCollection',
+    features: [
+        {"type": "Feature", "id": "marigold", "properties": {"name": "Marigold", "scientificName": "Tagetes erecta", "commonNames": ["African Marigold", "Aztec Marigold"], "flowering": {"north": [6, 7, 8, 9, 10, 11], "south": [12, 1, 2, 3, 4, 5]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-110, 29], [-97, 29], [-87, 17], [-89, 13], [-94, 15], [-105, 19], [-110, 29]]]]}},
+        {"type": "Feature", "id": "jasmine", "properties": {"name": "Jasmine", "scientificName": "Jasminum sambac", "commonNames": ["Arabian Jasmine", "Mogra", "Sampaguita"], "flowering": {"north": [3, 4, 5, 6, 7, 8, 9], "south": [9, 10, 11, 12, 1, 2, 3]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[85, 22], [97, 22], [97, 29], [85, 29], [85, 22]]]]}},
+        {"type": "Feature", "id": "lotus", "properties": {"name": "Lotus", "scientificName": "Nelumbo nucifera", "commonNames": ["Sacred Lotus", "Indian Lotus"], "flowering": {"north": [6, 7, 8, 9], "south": [12, 1, 2, 3]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[66, 8], [100, 0], [122, -8], [135, 20], [125, 42], [100, 35], [75, 35], [66, 25], [66, 8]]], [[[120, -18], [146, -18], [146, -10], [130, -11], [120, -14], [120, -18]]]]}},
+        {"type": "Feature", "id": "hibiscus", "properties": {"name": "Hibiscus", "scientificName": "Hibiscus rosa-sinensis", "commonNames": ["Chinese Hibiscus", "Shoeblackplant"], "flowering": {"north": [4, 5, 6, 7, 8, 9, 10], "south": [10, 11, 12, 1, 2, 3, 4]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[105, 18], [120, 18], [120, 26], [105, 26], [105, 18]]]]}},
+        {"type": "Feature", "id": "rose", "properties": {"name": "Rose", "scientificName": "Rosa", "commonNames": ["Garden Rose"], "flowering": {"north": [5, 6, 7, 8, 9], "south": [11, 12, 1, 2, 3]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-130, 30], [-60, 30], [-60, 60], [-130, 60], [-130, 30]]], [[[-10, 25], [145, 25], [145, 60], [-10, 60], [-10, 25]]]]}},
+        {"type": "Feature", "id": "sunflower", "properties": {"name": "Sunflower", "scientificName": "Helianthus annuus", "commonNames": ["Common Sunflower"], "flowering": {"north": [7, 8, 9], "south": [1, 2, 3]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-125, 25], [-85, 25], [-85, 52], [-125, 52], [-125, 25]]]]}},
+        {"type": "Feature", "id": "chrysanthemum", "properties": {"name": "Chrysanthemum", "scientificName": "Chrysanthemum morifolium", "commonNames": ["Florist's Daisy", "Mum"], "flowering": {"north": [9, 10, 11], "south": [3, 4, 5]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[100, 22], [122, 22], [122, 40], [100, 40], [100, 22]]]]}},
+        {"type": "Feature", "id": "dahlia", "properties": {"name": "Dahlia", "scientificName": "Dahlia pinnata", "commonNames": ["Garden Dahlia"], "flowering": {"north": [7, 8, 9, 10], "south": [1, 2, 3, 4]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-106, 17], [-96, 17], [-96, 25], [-106, 25], [-106, 17]]]]}},
+        {"type": "Feature", "id": "california-poppy", "properties": {"name": "California Poppy", "scientificName": "Eschscholzia californica", "commonNames": ["Golden Poppy", "Cup of Gold"], "flowering": {"north": [2, 3, 4, 5, 6], "south": [8, 9, 10, 11, 12]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-124.5, 42.5], [-119, 42], [-114, 35], [-114, 30], [-117, 30], [-121, 34.5], [-124.5, 40], [-124.5, 42.5]]]]}},
+        {"type": "Feature", "id": "bluebonnet", "properties": {"name": "Bluebonnet", "scientificName": "Lupinus texensis", "commonNames": ["Texas Bluebonnet"], "flowering": {"north": [3, 4, 5], "south": [9, 10, 11]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-104, 29], [-94, 29], [-94, 34], [-100, 34], [-104, 31], [-104, 29]]]]}},
+        {"type": "Feature", "id": "wild-rose", "properties": {"name": "Wild Rose", "scientificName": "Rosa woodsii", "commonNames": ["Woods' Rose", "Interior Rose"], "flowering": {"north": [5, 6, 7], "south": [11, 12, 1]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-125, 30], [-95, 30], [-95, 60], [-125, 60], [-125, 30]]]]}},
+        {"type": "Feature", "id": "lupine", "properties": {"name": "Lupine", "scientificName": "Lupinus polyphyllus", "commonNames": ["Large-leaved Lupine", "Garden Lupin"], "flowering": {"north": [5, 6, 7, 8], "south": [11, 12, 1, 2]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-130, 35], [-110, 35], [-110, 60], [-130, 60], [-130, 35]]]]}},
+        {"type": "Feature", "id": "desert-marigold", "properties": {"name": "Desert Marigold", "scientificName": "Baileya multiradiata", "commonNames": ["Desert Baileya"], "flowering": {"north": [3, 4, 5, 6, 7, 8, 9, 10], "south": [9, 10, 11, 12, 1, 2, 3, 4]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-118, 24], [-100, 24], [-100, 38], [-118, 38], [-118, 24]]]]}},
+        {"type": "Feature", "id": "lavender", "properties": {"name": "Lavender", "scientificName": "Lavandula angustifolia", "commonNames": ["English Lavender", "True Lavender"], "flowering": {"north": [6, 7, 8], "south": [12, 1, 2]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-2, 40], [15, 40], [15, 46], [-2, 46], [-2, 40]]]]}},
+        {"type": "Feature", "id": "poppy", "properties": {"name": "Poppy", "scientificName": "Papaver rhoeas", "commonNames": ["Common Poppy", "Corn Poppy", "Field Poppy"], "flowering": {"north": [5, 6, 7], "south": [11, 12, 1]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-10, 30], [60, 30], [60, 45], [-10, 45], [-10, 30]]]]}},
+        {"type": "Feature", "id": "lily", "properties": {"name": "Lily", "scientificName": "Lilium candidum", "commonNames": ["Madonna Lily"], "flowering": {"north": [6, 7], "south": [12, 1]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[20, 30], [40, 30], [40, 42], [20, 42], [20, 30]]]]}},
+        {"type": "Feature", "id": "tulip", "properties": {"name": "Tulip", "scientificName": "Tulipa gesneriana", "commonNames": ["Garden Tulip", "Didier's Tulip"], "flowering": {"north": [3, 4, 5], "south": [9, 10, 11]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[25, 35], [80, 35], [80, 48], [25, 48], [25, 35]]]]}},
+        {"type": "Feature", "id": "olive-blossom", "properties": {"name": "Olive Blossom", "scientificName": "Olea europaea", "commonNames": ["Olive", "European Olive"], "flowering": {"north": [4, 5, 6], "south": [10, 11, 12]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-10, 30], [37, 30], [37, 45], [-10, 45], [-10, 30]]]]}},
+        {"type": "Feature", "id": "orange-blossom", "properties": {"name": "Orange Blossom", "scientificName": "Citrus × sinensis", "commonNames": ["Sweet Orange"], "flowering": {"north": [3, 4, 5], "south": [9, 10, 11]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[90, 18], [120, 18], [120, 30], [90, 30], [90, 18]]]]}},
+        {"type": "Feature", "id": "cherry-blossom", "properties": {"name": "Cherry Blossom", "scientificName": "Prunus serrulata", "commonNames": ["Japanese Cherry", "Sakura"], "flowering": {"north": [3, 4], "south": [9, 10]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[110, 25], [125, 25], [145, 30], [145, 45], [125, 45], [110, 35], [110, 25]]]]}},
+        {"type": "Feature", "id": "peony", "properties": {"name": "Peony", "scientificName": "Paeonia lactiflora", "commonNames": ["Chinese Peony", "Common Garden Peony"], "flowering": {"north": [5, 6], "south": [11, 12]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[100, 35], [135, 35], [135, 55], [100, 55], [100, 35]]]]}},
+        {"type": "Feature", "id": "plum-blossom", "properties": {"name": "Plum Blossom", "scientificName": "Prunus mume", "commonNames": ["Chinese Plum", "Japanese Apricot", "Ume"], "flowering": {"north": [1, 2, 3], "south": [7, 8, 9]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[100, 22], [122, 22], [122, 32], [100, 32], [100, 22]]]]}},
+        {"type": "Feature", "id": "wattle", "properties": {"name": "Wattle", "scientificName": "Acacia pycnantha", "commonNames": ["Golden Wattle"], "flowering": {"north": [1, 2, 3, 4], "south": [7, 8, 9, 10]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[135, -38], [150, -38], [150, -30], [135, -30], [135, -38]]]]}},
+        {"type": "Feature", "id": "kangaroo-paw", "properties": {"name": "Kangaroo Paw", "scientificName": "Anigozanthos manglesii", "commonNames": ["Red-and-green Kangaroo Paw", "Mangles' Kangaroo Paw"], "flowering": {"north": [2, 3, 4, 5], "south": [8, 9, 10, 11]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[114, -35], [120, -35], [120, -28], [114, -28], [114, -35]]]]}},
+        {"type": "Feature", "id": "waratah", "properties": {"name": "Waratah", "scientificName": "Telopea speciosissima", "commonNames": ["New South Wales Waratah"], "flowering": {"north": [3, 4, 5], "south": [9, 10, 11]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[149, -36], [153, -36], [153, -32], [149, -32], [149, -36]]]]}},
+        {"type": "Feature", "id": "orchid", "properties": {"name": "Orchid", "scientificName": "Cattleya labiata", "commonNames": ["Ruby-lipped Cattleya", "Queen of the Northeast"], "flowering": {"north": [9, 10, 11], "south": [3, 4, 5]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-42, -15], [-34, -15], [-34, -4], [-42, -4], [-42, -15]]]]}},
+        {"type": "Feature", "id": "passion-flower", "properties": {"name": "Passion Flower", "scientificName": "Passiflora caerulea", "commonNames": ["Blue Passion Flower", "Blue Crown"], "flowering": {"north": [5, 6, 7, 8, 9], "south": [11, 12, 1, 2, 3]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-65, -35], [-40, -35], [-40, -15], [-65, -15], [-65, -35]]]]}},
+        {"type": "Feature", "id": "carnation", "properties": {"name": "Carnation", "scientificName": "Dianthus caryophyllus", "commonNames": ["Clove Pink", "Gillyflower"], "flowering": {"north": [5, 6, 7, 8], "south": [11, 12, 1, 2]}}, "geometry": {"type": "MultiPolygon", "coordinates": [[[[-5, 35], [30, 35], [30, 45], [-5, 45], [-5, 35]]]]}}
+    ]
+};
@@ -0,0 +1,115 @@
+// BloomWatch - Bloom Anomalies
+// Days early or late and intensity deviation against a multi-year baseline per region and species
+
+class BloomAnomalyDetector {
+    constructor(options = {}) {
+        this.minYears = options.minYears || 2;
+        this.minRecords = options.minRecords || 3;
+        this.significantDays = options.significantDays || 14;
+    }
+
+    // Sums per group and year, so each record is compared with the other years only.
+    // groupsOf returns the baseline keys for a record, most specific first.
+    buildBaseline(records, { groupsOf, valueOf }) {
+        const groups = {};
+        records.forEach(record => {
+            if (!(record.date instanceof Date) || isNaN(record.date.getTime())) return;
+            const angle = this.toAngle(PhenologyEngine.dayOfYear(record.date));
+            const value = valueOf(record);
+            const year = record.date.getFullYear();
+
+            groupsOf(record).forEach(key => {
+                const years = groups[key] || (groups[key] = {});
+                const sums = years[year] || (years[year] = { count: 0, sin: 0, cos: 0, value: 0, valueSquared: 0 });
+                sums.count++;
+                sums.sin += Math.sin(angle);
+                sums.cos += Math.cos(angle);
+                sums.value += value;
+                sums.valueSquared += value * value;
+            });
+        });
+        return { groups, groupsOf, valueOf };
+    }
+
+    // Climatology of one group, leaving out the given year; null without enough history
+    getClimatology(baseline, key, excludeYear) {
+        const years = baseline.groups[key];
+        if (!years) return null;
+
+        const totals = { count: 0, sin: 0, cos: 0, value: 0, valueSquared: 0 };
+        let yearCount = 0;
+        Object.keys(years).forEach(year => {
+            if (Number(year) === excludeYear) return;
+            yearCount++;
+            Object.keys(totals).forEach(field => {
+                totals[field] += years[year][field];
+            });
+        });
+        if (yearCount < this.minYears || totals.count < this.minRecords) return null;
+
+        // Circular statistics keep late-December and early-January blooms together
+        const resultant = Math.sqrt(totals.sin * totals.sin + totals.cos * totals.cos) / totals.count;
+        const meanValue = totals.value / totals.count;
+        return {
+            key,
+            years: yearCount,
+            count: totals.count,
+            meanDay: this.toDay(Math.atan2(totals.sin, totals.cos)),
+            daySpread: Math.sqrt(-2 * Math.log(Math.max(resultant, 1e-9))) * 365 / (2 * Math.PI),
+            meanValue,
+            valueSpread: Math.sqrt(Math.max(0, totals.valueSquared / totals.count - meanValue * meanValue))
+        };
+    }
+
+    // Uses the most specific group with enough history
+    detect(record, baseline) {
+        const year = record.date.getFullYear();
+        const climatology = baseline.groupsOf(record)
+            .map(key => this.getClimatology(baseline, key, year))
+            .find(candidate => candidate !== null);
+        if (!climatology) return null;
+
+        // Signed difference on the yearly circle: negative is early, positive is late
+        const day = PhenologyEngine.dayOfYear(record.date);
+        const daysFromNormal = ((day - climatology.meanDay + 365 + 182.5) % 365) - 182.5;
+        const intensityDeviation = baseline.valueOf(record) - climatology.meanValue;
+
+        return {
+            record,
+            baseline: climatology,
+            daysFromNormal,
+            intensityDeviation,
+            intensityScore: climatology.valueSpread > 0 ? intensityDeviation / climatology.valueSpread : 0,
+            significant: Math.abs(daysFromNormal) >= this.significantDays
+        };
+    }
+
+    summarize(anomalies) {
+        if (anomalies.length === 0) return null;
+        const average = key => anomalies.reduce((sum, anomaly) => sum + anomaly[key], 0) / anomalies.length;
+        return {
+            count: anomalies.length,
+            daysFromNormal: average('daysFromNormal'),
+            intensityDeviation: average('intensityDeviation'),
+            early: anomalies.filter(anomaly => anomaly.daysFromNormal <= -this.significantDays).length,
+            late: anomalies.filter(anomaly => anomaly.daysFromNormal >= this.significantDays).length
+        };
+    }
+
+    toAngle(day) {
+        return ((day - 1) / 365) * 2 * Math.PI;
+    }
+
+    toDay(angle) {
+        return ((angle / (2 * Math.PI)) * 365 + 365) % 365 + 1;
+    }
+
+    // Blue for early, red for late, fading to white around the baseline date
+    static colorForDays(days, range = 30) {
+        const t = Math.max(-1, Math.min(1, days / range));
+        const target = t < 0 ? [33, 102, 172] : [178, 24, 43];
+        const mix = Math.abs(t);
+        const channels = target.map(channel => Math.round(247 + (channel - 247) * mix));
+        return `rgb(${channels.join(', ')})`;
+    }
+}
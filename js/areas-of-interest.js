@@ -0,0 +1,104 @@
+// BloomWatch - Areas of Interest
+// Saves drawn or uploaded polygons locally and summarizes the records inside them
+
+class AreaOfInterestManager {
+    constructor(app, storageKey = 'bloomwatch.areasOfInterest') {
+        this.app = app;
+        this.storageKey = storageKey;
+        this.areas = this.load();
+        // Saved areas filter like the built-in regions
+        this.areas.forEach(area => this.app.regionBoundaries.add(area.id, area.name, area.geometry));
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Could not read saved areas of interest', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.areas));
+        } catch (error) {
+            console.warn('Could not save areas of interest', error);
+        }
+    }
+
+    add(name, geometry) {
+        const area = {
+            id: `aoi_${Date.now().toString(36)}`,
+            name: name,
+            geometry: geometry,
+            createdAt: new Date().toISOString()
+        };
+        this.app.regionBoundaries.add(area.id, area.name, area.geometry);
+        this.areas.push(area);
+        this.save();
+        return area;
+    }
+
+    remove(id) {
+        this.areas = this.areas.filter(area => area.id !== id);
+        this.app.regionBoundaries.remove(id);
+        this.save();
+    }
+
+    get(id) {
+        return this.areas.find(area => area.id === id) || null;
+    }
+
+    isArea(id) {
+        return this.get(id) !== null;
+    }
+
+    // Accepts a Polygon/MultiPolygon geometry, Feature or FeatureCollection and returns the first polygon geometry
+    parseGeoJSON(text) {
+        let geojson;
+        try {
+            geojson = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid GeoJSON: ${error.message}`);
+        }
+
+        const candidates = geojson.type === 'FeatureCollection' ? geojson.features.map(feature => feature.geometry)
+            : geojson.type === 'Feature' ? [geojson.geometry]
+            : [geojson];
+        const geometry = candidates.find(candidate =>
+            candidate && (candidate.type === 'Polygon' || candidate.type === 'MultiPolygon')
+        );
+        if (!geometry) {
+            throw new Error('No Polygon or MultiPolygon found in file');
+        }
+        return geometry;
+    }
+
+    // Summary of the records inside an area; inputs are already filtered to that area
+    summarize({ blooms, citizen, climate, agricultural }) {
+        const speciesCounts = {};
+        blooms.concat(citizen).forEach(record => {
+            speciesCounts[record.species] = (speciesCounts[record.species] || 0) + 1;
+        });
+        const speciesMix = Object.keys(speciesCounts)
+            .map(species => ({ species, count: speciesCounts[species] }))
+            .sort((a, b) => b.count - a.count);
+
+        const intensityDistribution = {};
+        DataSourceAdapter.INTENSITIES.forEach(level => {
+            intensityDistribution[level] = blooms.filter(bloom => bloom.intensity === level).length;
+        });
+
+        return {
+            bloomCount: blooms.length,
+            citizenCount: citizen.length,
+            climateCount: climate.length,
+            fieldCount: agricultural.length,
+            speciesMix,
+            averageConfidence: blooms.length ? blooms.reduce((sum, b) => sum + b.confidence, 0) / blooms.length : null,
+            intensityDistribution
+        };
+    }
+}
@@ -0,0 +1,63 @@
+// BloomWatch - Biodiversity Metrics
+// Shannon-Wiener and Simpson diversity, Chao1 richness and rarefaction curves from species abundance
+
+class BiodiversityMetrics {
+    // Records per species, most abundant first; each record counts as one individual
+    abundance(records) {
+        const counts = new Map();
+        records.forEach(record => counts.set(record.species, (counts.get(record.species) || 0) + 1));
+        return Array.from(counts.values()).sort((a, b) => b - a);
+    }
+
+    summarize(records) {
+        const counts = this.abundance(records);
+        const individuals = counts.reduce((sum, count) => sum + count, 0);
+        const richness = counts.length;
+        if (individuals === 0) {
+            return { individuals, richness, shannon: null, evenness: null, simpson: null, chao1: null, counts };
+        }
+
+        const shannon = -counts.reduce((sum, count) => sum + (count / individuals) * Math.log(count / individuals), 0);
+        // Gini-Simpson without replacement: the chance two individuals drawn are different species
+        const simpson = individuals > 1
+            ? 1 - counts.reduce((sum, count) => sum + count * (count - 1), 0) / (individuals * (individuals - 1))
+            : null;
+        return {
+            individuals,
+            richness,
+            shannon,
+            evenness: richness > 1 ? shannon / Math.log(richness) : null, // Pielou's J′
+            simpson,
+            chao1: this.chao1(counts, individuals),
+            counts
+        };
+    }
+
+    // Bias-corrected form, which stays finite when no species has exactly two individuals
+    chao1(counts, individuals) {
+        const singletons = counts.filter(count => count === 1).length;
+        const doubletons = counts.filter(count => count === 2).length;
+        return counts.length + ((individuals - 1) / individuals) * singletons * (singletons - 1) / (2 * (doubletons + 1));
+    }
+
+    // Expected species in random subsamples at up to `steps` evenly spaced sizes (Hurlbert 1971)
+    rarefy(counts, steps = 20) {
+        const individuals = counts.reduce((sum, count) => sum + count, 0);
+        if (individuals === 0) return [];
+
+        const logFactorials = new Float64Array(individuals + 1);
+        for (let i = 2; i <= individuals; i++) logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+        const logChoose = (n, k) => logFactorials[n] - logFactorials[k] - logFactorials[n - k];
+
+        const sizes = new Set();
+        for (let step = 1; step <= steps; step++) sizes.add(Math.max(1, Math.round(individuals * step / steps)));
+        return Array.from(sizes).map(size => {
+            const total = logChoose(individuals, size);
+            // A species is missed only when the whole subsample comes from the other species
+            const species = counts.reduce((sum, count) => individuals - count < size
+                ? sum + 1
+                : sum + 1 - Math.exp(logChoose(individuals - count, size) - total), 0);
+            return { size, species };
+        });
+    }
+}
@@ -0,0 +1,150 @@
+// BloomWatch - Climate Correlation
+// Joins blooms to nearby climate stations and correlates temperature, precipitation and humidity with bloom intensity and timing
+
+class ClimateCorrelation {
+    constructor(options = {}) {
+        this.radiusKm = options.radiusKm || 250;
+    }
+
+    // Each bloom paired with its nearest station within radiusKm and that station's reading for the bloom's month.
+    // Stations without monthly readings contribute their single values.
+    join(blooms, stations) {
+        const degrees = this.radiusKm / 111;
+        const entries = stations.map(station => ({ station, readings: this.indexReadings(station) }));
+        const pairs = [];
+
+        blooms.forEach(bloom => {
+            let nearest = null;
+            entries.forEach(entry => {
+                if (Math.abs(entry.station.lat - bloom.lat) > degrees) return;
+                const distance = HotspotDetector.distanceKm(entry.station, bloom);
+                if (distance <= this.radiusKm && (!nearest || distance < nearest.distance)) {
+                    nearest = { entry, distance };
+                }
+            });
+            if (!nearest) return;
+
+            const climate = nearest.entry.readings
+                ? nearest.entry.readings.get(ClimateCorrelation.monthKey(bloom.date))
+                : nearest.entry.station;
+            if (climate) {
+                pairs.push({ bloom, station: nearest.entry.station, distanceKm: nearest.distance, climate });
+            }
+        });
+        return pairs;
+    }
+
+    indexReadings(station) {
+        if (!station.readings) return null;
+        const index = new Map();
+        station.readings.forEach(reading => index.set(ClimateCorrelation.monthKey(reading.date), reading));
+        return index;
+    }
+
+    // responses maps a name to a function giving that bloom measure, or null when it is unknown
+    analyze(pairs, responses) {
+        const variables = {};
+        Object.keys(ClimateCorrelation.VARIABLES).forEach(variable => {
+            variables[variable] = {};
+            Object.keys(responses).forEach(response => {
+                const { xs, ys } = this.getSeries(pairs, variable, responses[response]);
+                variables[variable][response] = this.correlate(xs, ys);
+            });
+        });
+        return { count: pairs.length, variables };
+    }
+
+    getSeries(pairs, variable, responseOf) {
+        const xs = [];
+        const ys = [];
+        pairs.forEach(pair => {
+            const x = pair.climate[variable];
+            const y = responseOf(pair.bloom);
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+                xs.push(x);
+                ys.push(y);
+            }
+        });
+        return { xs, ys };
+    }
+
+    correlate(xs, ys) {
+        const n = xs.length;
+        if (n < 3) return { n, pearson: null, spearman: null, significant: false };
+
+        const pearson = ClimateCorrelation.pearson(xs, ys);
+        const spearman = ClimateCorrelation.pearson(ClimateCorrelation.rank(xs), ClimateCorrelation.rank(ys));
+        // t-test on Pearson's r at the two-sided 95% level
+        const t = pearson === null ? 0 : Math.abs(pearson) * Math.sqrt((n - 2) / Math.max(1 - pearson * pearson, 1e-12));
+        return { n, pearson, spearman, significant: t > ClimateCorrelation.criticalT(n - 2) };
+    }
+
+    // Two-sided 95% critical value of Student's t, by the Cornish-Fisher expansion around z = 1.96
+    static criticalT(degreesOfFreedom) {
+        return 1.96 + 2.372 / degreesOfFreedom + 2.82 / (degreesOfFreedom * degreesOfFreedom);
+    }
+
+    // Least-squares line through the points, for the scatter plot
+    static fit(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += (xs[i] - meanX) * (xs[i] - meanX);
+        }
+        const slope = varianceX > 0 ? covariance / varianceX : 0;
+        return { slope, intercept: meanY - slope * meanX };
+    }
+
+    // Null when either series is constant
+    static pearson(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < n; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            covariance += dx * dy;
+            varianceX += dx * dx;
+            varianceY += dy * dy;
+        }
+        return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+    }
+
+    // Ranks from 1, with tied values sharing their average rank
+    static rank(values) {
+        const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+        const ranks = new Array(values.length);
+        let i = 0;
+        while (i < order.length) {
+            let j = i;
+            while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+            i = j + 1;
+        }
+        return ranks;
+    }
+
+    static monthKey(date) {
+        return date.getFullYear() * 12 + date.getMonth();
+    }
+}
+
+ClimateCorrelation.VARIABLES = {
+    temperature: { label: 'Temperature', unit: '°C' },
+    precipitation: { label: 'Precipitation', unit: 'mm' },
+    humidity: { label: 'Humidity', unit: '%' }
+};
+
+ClimateCorrelation.RESPONSES = {
+    intensity: { label: 'Bloom Intensity', unit: 'index' },
+    // Days early (negative) or late against the bloom's multi-year baseline
+    timing: { label: 'Bloom Timing', unit: 'days from normal' }
+};
@@ -0,0 +1,118 @@
+// BloomWatch - Climate Surface Layer
+// Draws the interpolated temperature, precipitation or humidity surface of the visible climate stations
+
+class ClimateSurfaceLayer {
+    constructor(options = {}) {
+        this.layer = L.layerGroup();
+        this.surface = new ClimateSurface(options);
+        this.rasters = new RasterOverlay();
+        this.opacity = options.opacity || 0.6;
+        this.variable = 'temperature';
+        this.method = 'idw';
+        this.stations = [];
+        this.stationKey = '';
+        this.source = null;
+        this.period = null;
+        this.models = {}; // Per variable, for the current stations and method
+        this.overlay = null;
+        this.stops = this.getStops(0, 1);
+    }
+
+    // Skips the work when the same stations and time window are drawn again. Regions can have the
+    // same number of stations, so the ids are compared rather than the count.
+    setStations(stations, source, period) {
+        const stationKey = stations.map(station => station.id).join('|');
+        if (source === this.source && period === this.period && stationKey === this.stationKey) return;
+        this.stations = stations;
+        this.stationKey = stationKey;
+        this.source = source;
+        this.period = period;
+        this.models = {};
+        this.redraw();
+    }
+
+    setVariable(variable) {
+        this.variable = variable;
+        this.redraw();
+    }
+
+    setMethod(method) {
+        this.method = method;
+        this.models = {};
+        this.redraw();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (this.overlay) this.overlay.setOpacity(opacity);
+    }
+
+    getPoints(variable) {
+        return this.stations
+            .filter(station => Number.isFinite(station[variable]))
+            .map(station => ({ lat: station.lat, lng: station.lng, value: station[variable] }));
+    }
+
+    getModel(variable) {
+        if (!(variable in this.models)) {
+            this.models[variable] = this.surface.fit(this.getPoints(variable), this.method);
+        }
+        return this.models[variable];
+    }
+
+    redraw() {
+        if (this.overlay) {
+            this.layer.removeLayer(this.overlay);
+            this.overlay = null;
+        }
+        const model = this.getModel(this.variable);
+        if (!model) return;
+
+        const values = model.points.map(point => point.value);
+        this.stops = this.getStops(Math.min(...values), Math.max(...values));
+        const raster = this.surface.grid(model, ClimateCorrelation.VARIABLES[this.variable].label);
+        const image = this.rasters.toImage(raster, pixel => RasterOverlay.ramp(this.stops, pixel[0]));
+        this.overlay = L.imageOverlay(image, raster.bounds, { opacity: this.opacity, interactive: false });
+        this.layer.addLayer(this.overlay);
+    }
+
+    // The ramp spans the station values, since precipitation totals grow with the time window
+    getStops(min, max) {
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const colors = ClimateSurfaceLayer.RAMPS[this.variable];
+        return colors.map((color, i) => [min + (max - min) * (i / (colors.length - 1)), color]);
+    }
+
+    // Every variable at latlng, null where it cannot be estimated
+    valuesAt(latlng) {
+        const values = {};
+        Object.keys(ClimateCorrelation.VARIABLES).forEach(variable => {
+            const model = this.getModel(variable);
+            values[variable] = model ? this.surface.estimate(model, latlng.lat, latlng.lng) : null;
+        });
+        return values;
+    }
+
+    // Legend line, matching RasterLayer.describeSources
+    describeSources(escape) {
+        const model = this.getModel(this.variable);
+        if (!model) return 'No climate stations report this variable in the time window.';
+        let method = ClimateSurface.METHODS[model.method];
+        if (model.method === 'kriging') {
+            method += `, spherical variogram with ${Math.round(model.variogram.range)} km range`;
+        } else if (this.method === 'kriging') {
+            method += ' (too few stations for kriging)';
+        }
+        return `${method} from ${model.points.length} station${model.points.length === 1 ? '' : 's'}, ${escape(this.period)}; ` +
+            `blank beyond ${this.surface.maxDistanceKm} km of a station.`;
+    }
+}
+
+ClimateSurfaceLayer.RAMPS = {
+    temperature: [[49, 54, 149], [116, 173, 209], [255, 255, 191], [244, 109, 67], [165, 0, 38]],
+    precipitation: [[255, 255, 204], [161, 218, 180], [65, 182, 196], [44, 127, 184], [37, 52, 148]],
+    humidity: [[140, 81, 10], [216, 179, 101], [246, 232, 195], [90, 180, 172], [1, 102, 94]]
+};
@@ -0,0 +1,207 @@
+// BloomWatch - Climate Surfaces
+// Interpolates station values into continuous surfaces by inverse-distance weighting or ordinary kriging
+
+class ClimateSurface {
+    constructor(options = {}) {
+        this.power = options.power || 2;
+        this.maxDistanceKm = options.maxDistanceKm || 1000; // Cells further than this from every station stay empty
+        this.size = options.size || 240; // Grid columns
+    }
+
+    // points are { lat, lng, value }; kriging needs at least three and falls back to IDW otherwise
+    fit(points, method) {
+        if (points.length === 0) return null;
+        const model = (method === 'kriging' && points.length >= 3 && this.fitKriging(points)) || { method: 'idw', points };
+        // Grids estimate hundreds of thousands of cells, so the station trigonometry is worked out once
+        model.sites = points.map(point => ({
+            sin: Math.sin(point.lat * Math.PI / 180),
+            cos: Math.cos(point.lat * Math.PI / 180),
+            lng: point.lng * Math.PI / 180
+        }));
+        model.distances = new Float64Array(points.length);
+        return model;
+    }
+
+    // Value at a location, or null beyond maxDistanceKm of every station
+    estimate(model, lat, lng) {
+        const distances = this.distancesFrom(model, lat, lng);
+        let nearest = Infinity;
+        for (let i = 0; i < distances.length; i++) nearest = Math.min(nearest, distances[i]);
+        if (nearest > this.maxDistanceKm) return null;
+        return model.method === 'kriging' ? this.krige(model, distances) : this.inverseDistance(model.points, distances);
+    }
+
+    // Great-circle distances by the spherical law of cosines, written into the model's buffer
+    distancesFrom(model, lat, lng) {
+        const sin = Math.sin(lat * Math.PI / 180);
+        const cos = Math.cos(lat * Math.PI / 180);
+        const longitude = lng * Math.PI / 180;
+        const distances = model.distances;
+        for (let i = 0; i < model.sites.length; i++) {
+            const site = model.sites[i];
+            const cosine = sin * site.sin + cos * site.cos * Math.cos(longitude - site.lng);
+            distances[i] = 6371 * Math.acos(Math.min(1, Math.max(-1, cosine)));
+        }
+        return distances;
+    }
+
+    inverseDistance(points, distances) {
+        let weighted = 0;
+        let total = 0;
+        for (let i = 0; i < points.length; i++) {
+            if (distances[i] === 0) return points[i].value;
+            const weight = 1 / Math.pow(distances[i], this.power);
+            weighted += weight * points[i].value;
+            total += weight;
+        }
+        return weighted / total;
+    }
+
+    // Ordinary kriging system [Γ 1; 1ᵀ 0] solved once against the values, so each estimate is a dot product
+    fitKriging(points) {
+        const n = points.length;
+        const distances = points.map(a => points.map(b => HotspotDetector.distanceKm(a, b)));
+        const variogram = this.fitVariogram(points, distances);
+
+        const matrix = points.map((point, i) => points.map((other, j) => i === j ? 0 : variogram.at(distances[i][j])).concat(1));
+        matrix.push(new Array(n).fill(1).concat(0));
+        const weights = ClimateSurface.solve(matrix, points.map(point => point.value).concat(0));
+        return weights ? { method: 'kriging', points, variogram, weights } : null;
+    }
+
+    krige(model, distances) {
+        let value = model.weights[model.points.length];
+        for (let i = 0; i < distances.length; i++) {
+            value += model.weights[i] * (distances[i] === 0 ? 0 : model.variogram.at(distances[i]));
+        }
+        return value;
+    }
+
+    // Spherical model fitted to the binned empirical semivariogram, trying each bin edge as the range
+    fitVariogram(points, distances) {
+        const binCount = 10;
+        const binWidth = this.maxDistanceKm / binCount;
+        const bins = Array.from({ length: binCount }, () => ({ lag: 0, gamma: 0, count: 0 }));
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                const bin = bins[Math.floor(distances[i][j] / binWidth)];
+                if (!bin) continue;
+                bin.lag += distances[i][j];
+                bin.gamma += 0.5 * Math.pow(points[i].value - points[j].value, 2);
+                bin.count++;
+            }
+        }
+        const empirical = bins.filter(bin => bin.count > 0)
+            .map(bin => ({ lag: bin.lag / bin.count, gamma: bin.gamma / bin.count, count: bin.count }));
+
+        // Without enough pairs the sample variance is reached at the largest lag
+        const mean = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+        const variance = points.reduce((sum, point) => sum + Math.pow(point.value - mean, 2), 0) / points.length;
+        let best = { nugget: 0, sill: variance, range: this.maxDistanceKm, error: Infinity };
+        if (empirical.length >= 3) {
+            for (let k = 1; k <= binCount; k++) {
+                const fit = this.fitSpherical(empirical, k * binWidth);
+                if (fit.error < best.error) best = fit;
+            }
+        }
+
+        const { nugget, sill, range } = best;
+        return { nugget, sill, range, at: lag => nugget + sill * ClimateSurface.spherical(lag, range) };
+    }
+
+    // nugget + sill · f(lag) is linear in both for a fixed range, so weighted least squares solves it directly
+    fitSpherical(empirical, range) {
+        let sw = 0, sf = 0, sff = 0, sg = 0, sfg = 0;
+        empirical.forEach(({ lag, gamma, count }) => {
+            const f = ClimateSurface.spherical(lag, range);
+            sw += count;
+            sf += count * f;
+            sff += count * f * f;
+            sg += count * gamma;
+            sfg += count * f * gamma;
+        });
+
+        const determinant = sw * sff - sf * sf;
+        let sill = Math.abs(determinant) > 1e-12 ? (sw * sfg - sf * sg) / determinant : 0;
+        let nugget = (sg - sill * sf) / sw;
+        if (sill < 0) {
+            sill = 0;
+            nugget = sg / sw;
+        }
+        if (nugget < 0) {
+            nugget = 0;
+            sill = sff > 0 ? sfg / sff : 0;
+        }
+
+        const error = empirical.reduce((sum, { lag, gamma, count }) =>
+            sum + count * Math.pow(gamma - nugget - sill * ClimateSurface.spherical(lag, range), 2), 0);
+        return { nugget, sill, range, error };
+    }
+
+    // Grid laid out in Web Mercator rows, as RasterOverlay draws it, over the stations plus maxDistanceKm
+    grid(model, name) {
+        const pad = this.maxDistanceKm / 111;
+        const lats = model.points.map(point => point.lat);
+        const lngs = model.points.map(point => point.lng);
+        const south = Math.max(-85, Math.min(...lats) - pad);
+        const north = Math.min(85, Math.max(...lats) + pad);
+        const west = Math.max(-180, Math.min(...lngs) - pad);
+        const east = Math.min(180, Math.max(...lngs) + pad);
+
+        const crs = L.CRS.EPSG3857;
+        const topLeft = crs.project(L.latLng(north, west));
+        const bottomRight = crs.project(L.latLng(south, east));
+        const width = this.size;
+        const height = Math.max(1, Math.min(this.size * 2,
+            Math.round(width * (topLeft.y - bottomRight.y) / (bottomRight.x - topLeft.x))));
+
+        const band = new Float32Array(width * height);
+        for (let row = 0; row < height; row++) {
+            const y = topLeft.y - ((row + 0.5) / height) * (topLeft.y - bottomRight.y);
+            const lat = crs.unproject(L.point(topLeft.x, y)).lat;
+            for (let col = 0; col < width; col++) {
+                const lng = west + ((col + 0.5) / width) * (east - west);
+                const value = this.estimate(model, lat, lng);
+                band[row * width + col] = value === null ? NaN : value;
+            }
+        }
+
+        return { name, width, height, bands: [band], bounds: [[south, west], [north, east]], noData: null };
+    }
+
+    static spherical(lag, range) {
+        if (lag >= range) return 1;
+        const ratio = lag / range;
+        return 1.5 * ratio - 0.5 * ratio * ratio * ratio;
+    }
+
+    // Gaussian elimination with partial pivoting; null when the system is singular
+    static solve(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => row.concat(vector[i]));
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+        const x = new Array(n);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+}
+
+ClimateSurface.METHODS = {
+    idw: 'Inverse Distance Weighting',
+    kriging: 'Ordinary Kriging'
+};
@@ -0,0 +1,179 @@
+// BloomWatch - Citizen Contributions
+// Keeps submitted observations in IndexedDB and uploads the queued ones to a configurable endpoint
+
+class ContributionStore {
+    constructor(options = {}) {
+        this.databaseName = options.databaseName || 'bloomwatch';
+        this.storeName = options.storeName || 'contributions';
+        this.endpointKey = options.endpointKey || 'bloomwatch.contributionEndpoint';
+        this.endpoint = this.loadEndpoint();
+        this.database = null;
+        // Used when IndexedDB is unavailable, e.g. in private browsing; lost on reload
+        this.memory = null;
+        this.syncing = false;
+    }
+
+    loadEndpoint() {
+        try {
+            return localStorage.getItem(this.endpointKey) || '';
+        } catch (error) {
+            console.warn('Could not read the contribution endpoint', error);
+            return '';
+        }
+    }
+
+    setEndpoint(endpoint) {
+        this.endpoint = (endpoint || '').trim();
+        try {
+            localStorage.setItem(this.endpointKey, this.endpoint);
+        } catch (error) {
+            console.warn('Could not save the contribution endpoint', error);
+        }
+    }
+
+    open() {
+        if (this.database) return this.database;
+        this.database = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            console.warn('Contributions will only be kept for this session', error);
+            this.memory = new Map();
+            return null;
+        });
+        return this.database;
+    }
+
+    // Runs one request against the object store once its transaction completes
+    request(database, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getAll() {
+        const database = await this.open();
+        if (!database) return [...this.memory.values()];
+        return this.request(database, 'readonly', store => store.getAll());
+    }
+
+    async put(contribution) {
+        const database = await this.open();
+        if (database) {
+            await this.request(database, 'readwrite', store => store.put(contribution));
+        } else {
+            this.memory.set(contribution.id, contribution);
+        }
+        return contribution;
+    }
+
+    async get(id) {
+        const database = await this.open();
+        if (!database) return this.memory.get(id);
+        return this.request(database, 'readonly', store => store.get(id));
+    }
+
+    // Merges changes into a stored contribution, e.g. a moderation decision
+    async update(id, changes) {
+        const contribution = await this.get(id);
+        if (!contribution) return null;
+        return this.put(Object.assign(contribution, changes));
+    }
+
+    // Fields come from the form; the photo is kept as a Blob alongside them
+    add(fields) {
+        return this.put(Object.assign({
+            id: `contribution_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            createdAt: new Date().toISOString(),
+            validated: false,
+            syncState: 'queued',
+            syncedAt: null
+        }, fields));
+    }
+
+    async getQueued() {
+        return (await this.getAll()).filter(contribution => contribution.syncState === 'queued');
+    }
+
+    // Uploads queued contributions in order and stops at the first failure so the rest stay queued.
+    // Returns the contributions that were synced.
+    async sync() {
+        if (!this.endpoint || this.syncing) return [];
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return [];
+
+        this.syncing = true;
+        const synced = [];
+        try {
+            for (const contribution of await this.getQueued()) {
+                const response = await fetch(this.endpoint, { method: 'POST', body: this.toFormData(contribution) });
+                if (!response.ok) {
+                    throw new Error(`Upload to ${this.endpoint} failed with status ${response.status}`);
+                }
+                contribution.syncState = 'synced';
+                contribution.syncedAt = new Date().toISOString();
+                synced.push(await this.put(contribution));
+            }
+        } catch (error) {
+            console.warn('Contribution sync stopped, remaining observations stay queued', error);
+        } finally {
+            this.syncing = false;
+        }
+        return synced;
+    }
+
+    toFormData(contribution) {
+        const form = new FormData();
+        Object.keys(contribution).forEach(key => {
+            const value = contribution[key];
+            if (key === 'photo' || value === null || value === undefined) return;
+            form.append(key, String(value));
+        });
+        if (contribution.photo) {
+            form.append('photo', contribution.photo, contribution.photoName || 'photo.jpg');
+        }
+        return form;
+    }
+
+    // Citizen layer record for a stored contribution; the form date is a local calendar day
+    toCitizenRecord(contribution) {
+        const [year, month, day] = contribution.date.split('-').map(Number);
+        return {
+            id: contribution.id,
+            lat: contribution.lat,
+            lng: contribution.lng,
+            species: contribution.species,
+            date: new Date(year, month - 1, day),
+            observer: contribution.observer,
+            validated: contribution.validated,
+            status: contribution.status,
+            validatedBy: contribution.validatedBy,
+            validatedAt: contribution.validatedAt ? new Date(contribution.validatedAt) : null,
+            originalSpecies: contribution.originalSpecies,
+            country: contribution.country,
+            stage: contribution.stage,
+            photoUrl: contribution.photo ? URL.createObjectURL(contribution.photo) : null,
+            contributed: true,
+            syncState: contribution.syncState
+        };
+    }
+}
+
+ContributionStore.STAGES = {
+    budding: 'Flower Budding',
+    early: 'Early Bloom',
+    peak: 'Full Bloom',
+    late: 'Late Bloom',
+    fruiting: 'Fruiting',
+    none: 'No Evidence of Flowering'
+};
@@ -0,0 +1,183 @@
+// BloomWatch - Crop Model
+// Crop calendars by country and hemisphere, and yield predictions from observed blooms, soil moisture and pest pressure
+
+class CropModel {
+    constructor(options = {}) {
+        this.radiusKm = options.radiusKm || 200; // Crop blooms this close to a field inform its yield
+        this.windowDays = options.windowDays || 45; // ...when within this many days of its calendar bloom
+    }
+
+    // Months 1-12; a country's own calendar wins over the hemisphere default
+    getCalendar(crop, country, lat) {
+        const national = CropModel.COUNTRY_CALENDARS[country];
+        if (national && national[crop]) return Object.assign({ source: country }, national[crop]);
+        const hemisphere = lat < 0 ? 'south' : 'north';
+        const defaults = CropModel.CALENDARS[crop] || CropModel.CALENDARS.default;
+        return Object.assign({ source: hemisphere === 'south' ? 'Southern Hemisphere' : 'Northern Hemisphere' }, defaults[hemisphere]);
+    }
+
+    // The calendar planting month of the given year, for generated fields
+    getPlantingDate(field, year) {
+        return new Date(year, this.getCalendar(field.crop, field.country, field.lat).plant - 1, 15);
+    }
+
+    // Bloom in the calendar bloom month following the given date (normally the planting)
+    getBloomTiming(field, after = field.plantingDate) {
+        return CropModel.nextMonthDate(this.getCalendar(field.crop, field.country, field.lat).bloom - 1, after);
+    }
+
+    // Harvest in the calendar harvest month following the given date (normally the bloom)
+    getHarvestDate(field, after = field.bloomTiming) {
+        return CropModel.nextMonthDate(this.getCalendar(field.crop, field.country, field.lat).harvest - 1, after);
+    }
+
+    // Typical yield scaled by one factor per driver. blooms are candidate crop blooms and
+    // valueOf gives a bloom's 0-1 index value. A yield reported with the field, such as an
+    // imported harvest figure, is used instead of the modelled one; the drivers still explain it.
+    predict(field, blooms, valueOf) {
+        const base = CropModel.BASE_YIELDS[field.crop] || CropModel.BASE_YIELDS.default;
+        const observed = this.getObservedBlooms(field, blooms);
+        const drivers = [
+            this.timingDriver(observed),
+            this.intensityDriver(observed, valueOf),
+            this.moistureDriver(field.soilMoisture),
+            this.pestDriver(field.pestPressure)
+        ];
+        const modelled = drivers.reduce((product, driver) => product * driver.factor, base);
+        const reported = Number.isFinite(field.reportedYield);
+        return { value: reported ? field.reportedYield : modelled, modelled, reported, base, drivers, bloomCount: observed.length };
+    }
+
+    // Crop blooms near the field around its calendar bloom, with their offset in days
+    getObservedBlooms(field, blooms) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const degrees = this.radiusKm / 111;
+        const expected = field.bloomTiming.getTime();
+        return blooms
+            .filter(bloom => Math.abs(bloom.lat - field.lat) <= degrees &&
+                Math.abs(bloom.date.getTime() - expected) <= this.windowDays * dayMs &&
+                HotspotDetector.distanceKm(bloom, field) <= this.radiusKm)
+            .map(bloom => ({ bloom, days: (bloom.date.getTime() - expected) / dayMs }));
+    }
+
+    // Flowering away from the calendar date risks heat, frost or missed pollinators
+    timingDriver(observed) {
+        if (observed.length === 0) {
+            return { name: 'timing', factor: 1, days: null, detail: `No crop blooms observed within ${this.radiusKm} km` };
+        }
+        const days = observed.reduce((sum, entry) => sum + entry.days, 0) / observed.length;
+        return {
+            name: 'timing',
+            factor: Math.max(0.8, 1 - Math.abs(days) * 0.005),
+            days,
+            detail: `${observed.length} crop bloom${observed.length === 1 ? '' : 's'}, mean ${Math.abs(Math.round(days))} days ${days < 0 ? 'early' : 'late'}`
+        };
+    }
+
+    intensityDriver(observed, valueOf) {
+        if (observed.length === 0) {
+            return { name: 'intensity', factor: 1, value: null, detail: 'No bloom intensity observed' };
+        }
+        const value = observed.reduce((sum, entry) => sum + valueOf(entry.bloom), 0) / observed.length;
+        return { name: 'intensity', factor: 0.85 + 0.3 * value, value, detail: `Mean bloom index ${value.toFixed(2)}` };
+    }
+
+    // 40-70% is taken as the comfortable range; drought hurts more than waterlogging
+    moistureDriver(moisture) {
+        let factor = 1;
+        if (moisture < 40) factor = 0.7 + 0.3 * moisture / 40;
+        else if (moisture > 70) factor = 1 - 0.15 * (moisture - 70) / 30;
+        return { name: 'moisture', factor, detail: `Soil moisture ${moisture.toFixed(0)}%` };
+    }
+
+    pestDriver(pressure) {
+        return { name: 'pests', factor: 1 - 0.3 * pressure / 100, detail: `Pest pressure ${pressure.toFixed(0)}%` };
+    }
+
+    // The 15th of the given month (0-11), in the first year where it falls after the reference date
+    static nextMonthDate(month, after) {
+        const date = new Date(after.getFullYear(), month, 15);
+        if (date <= after) {
+            date.setFullYear(date.getFullYear() + 1);
+        }
+        return date;
+    }
+}
+
+CropModel.DRIVERS = {
+    timing: { label: 'Bloom Timing', short: 'Timing' },
+    intensity: { label: 'Bloom Intensity', short: 'Intensity' },
+    moisture: { label: 'Soil Moisture', short: 'Moisture' },
+    pests: { label: 'Pest Pressure', short: 'Pests' }
+};
+
+// Typical yields in t/ha
+CropModel.BASE_YIELDS = {
+    Rice: 4, Wheat: 3, Corn: 8, Soybean: 2.5, Cotton: 1.5, Sugarcane: 80, Potato: 25, Tomato: 40,
+    Mango: 15, Coffee: 2, Sunflower: 2, Olive: 3, Grape: 8, default: 5
+};
+
+// Planting, bloom and harvest months per hemisphere. Perennials (mango, coffee, olive, grape)
+// start their cycle at the end of dormancy instead of planting.
+CropModel.CALENDARS = {
+    Rice: { north: { plant: 5, bloom: 8, harvest: 10 }, south: { plant: 11, bloom: 2, harvest: 4 } },
+    Wheat: { north: { plant: 10, bloom: 5, harvest: 7 }, south: { plant: 5, bloom: 10, harvest: 12 } },
+    Corn: { north: { plant: 4, bloom: 7, harvest: 9 }, south: { plant: 10, bloom: 1, harvest: 3 } },
+    Soybean: { north: { plant: 5, bloom: 8, harvest: 10 }, south: { plant: 11, bloom: 2, harvest: 4 } },
+    Cotton: { north: { plant: 4, bloom: 7, harvest: 10 }, south: { plant: 10, bloom: 1, harvest: 4 } },
+    Sugarcane: { north: { plant: 2, bloom: 10, harvest: 1 }, south: { plant: 8, bloom: 4, harvest: 7 } },
+    Potato: { north: { plant: 4, bloom: 6, harvest: 8 }, south: { plant: 10, bloom: 12, harvest: 2 } },
+    Tomato: { north: { plant: 4, bloom: 6, harvest: 8 }, south: { plant: 10, bloom: 12, harvest: 2 } },
+    Mango: { north: { plant: 11, bloom: 2, harvest: 5 }, south: { plant: 5, bloom: 8, harvest: 11 } },
+    Coffee: { north: { plant: 1, bloom: 3, harvest: 11 }, south: { plant: 8, bloom: 10, harvest: 5 } },
+    Sunflower: { north: { plant: 4, bloom: 7, harvest: 9 }, south: { plant: 10, bloom: 1, harvest: 3 } },
+    Olive: { north: { plant: 2, bloom: 5, harvest: 11 }, south: { plant: 8, bloom: 11, harvest: 5 } },
+    Grape: { north: { plant: 3, bloom: 6, harvest: 9 }, south: { plant: 9, bloom: 12, harvest: 3 } },
+    default: { north: { plant: 4, bloom: 6, harvest: 8 }, south: { plant: 10, bloom: 12, harvest: 2 } }
+};
+
+// National seasons that differ from the hemisphere default
+CropModel.COUNTRY_CALENDARS = {
+    India: {
+        Rice: { plant: 6, bloom: 9, harvest: 11 }, // Kharif
+        Wheat: { plant: 11, bloom: 2, harvest: 4 }, // Rabi
+        Cotton: { plant: 5, bloom: 8, harvest: 11 },
+        Potato: { plant: 10, bloom: 12, harvest: 2 }
+    },
+    USA: {
+        Wheat: { plant: 9, bloom: 5, harvest: 7 },
+        Corn: { plant: 4, bloom: 7, harvest: 10 },
+        Soybean: { plant: 5, bloom: 7, harvest: 10 }
+    },
+    China: {
+        Rice: { plant: 4, bloom: 7, harvest: 9 },
+        Wheat: { plant: 10, bloom: 4, harvest: 6 },
+        Corn: { plant: 5, bloom: 7, harvest: 9 }
+    },
+    Brazil: {
+        Soybean: { plant: 10, bloom: 12, harvest: 2 },
+        Corn: { plant: 10, bloom: 1, harvest: 3 },
+        Sugarcane: { plant: 10, bloom: 5, harvest: 7 },
+        Coffee: { plant: 9, bloom: 10, harvest: 5 },
+        Cotton: { plant: 12, bloom: 2, harvest: 6 }
+    },
+    Argentina: {
+        Soybean: { plant: 11, bloom: 2, harvest: 4 },
+        Corn: { plant: 9, bloom: 12, harvest: 3 },
+        Wheat: { plant: 6, bloom: 10, harvest: 12 },
+        Sunflower: { plant: 9, bloom: 12, harvest: 2 }
+    },
+    France: {
+        Wheat: { plant: 10, bloom: 5, harvest: 7 },
+        Corn: { plant: 4, bloom: 7, harvest: 10 }
+    },
+    Italy: {
+        Wheat: { plant: 11, bloom: 5, harvest: 6 },
+        Olive: { plant: 3, bloom: 5, harvest: 11 }
+    },
+    Spain: {
+        Wheat: { plant: 11, bloom: 4, harvest: 6 },
+        Sunflower: { plant: 3, bloom: 6, harvest: 8 },
+        Olive: { plant: 3, bloom: 5, harvest: 11 }
+    }
+};
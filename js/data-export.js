@@ -0,0 +1,143 @@
+// BloomWatch - Data Export
+// Serializes the records visible on the map to GeoJSON, CSV and KML, and observations to iNaturalist and GLOBE formats
+
+class DataExporter {
+    constructor(app) {
+        this.app = app;
+        this.observationFormats = new ObservationFormats();
+    }
+
+    // layers: [{ name, records }] where every record has lat/lng plus its popup fields
+    toGeoJSON(layers) {
+        const features = [];
+        layers.forEach(layer => {
+            layer.records.forEach(record => {
+                const properties = { layer: layer.name };
+                Object.keys(record).forEach(key => {
+                    if (key !== 'lat' && key !== 'lng') {
+                        properties[key] = record[key] instanceof Date ? record[key].toISOString() : record[key];
+                    }
+                });
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [record.lng, record.lat] },
+                    properties
+                });
+            });
+        });
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+
+    toCSV(layers) {
+        // One table for all layers: the union of their fields, with a leading layer column
+        const columns = ['layer', 'lat', 'lng'];
+        layers.forEach(layer => {
+            layer.records.forEach(record => {
+                Object.keys(record).forEach(key => {
+                    if (!columns.includes(key)) columns.push(key);
+                });
+            });
+        });
+
+        const lines = [columns.join(',')];
+        layers.forEach(layer => {
+            layer.records.forEach(record => {
+                const row = Object.assign({ layer: layer.name }, record);
+                lines.push(columns.map(column => this.escapeCSV(this.serializeValue(row[column]))).join(','));
+            });
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    toKML(layers) {
+        const folders = layers.map(layer => {
+            const placemarks = layer.records.map(record => {
+                const data = Object.keys(record)
+                    .filter(key => key !== 'lat' && key !== 'lng')
+                    .map(key => `<Data name="${this.escapeXML(key)}"><value>${this.escapeXML(this.serializeValue(record[key]))}</value></Data>`)
+                    .join('');
+                return `
+      <Placemark>
+        <name>${this.escapeXML(this.getPlacemarkName(layer.name, record))}</name>
+        <ExtendedData>${data}</ExtendedData>
+        <Point><coordinates>${record.lng},${record.lat},0</coordinates></Point>
+      </Placemark>`;
+            }).join('');
+
+            return `
+    <Folder>
+      <name>${this.escapeXML(layer.name)}</name>${placemarks}
+    </Folder>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>BloomWatch Export</name>${folders}
+  </Document>
+</kml>
+`;
+    }
+
+    getPlacemarkName(layerName, record) {
+        if (record.species) return record.species;
+        if (record.crop) return `${record.crop} Field`;
+        if (layerName === 'climate') return 'Climate Station';
+        return record.id || layerName;
+    }
+
+    serializeValue(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    escapeCSV(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    escapeXML(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[char]);
+    }
+
+    download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    export(format, layers) {
+        const stamp = new Date().toISOString().slice(0, 10);
+        const formats = {
+            geojson: { content: () => this.toGeoJSON(layers), extension: 'geojson', mimeType: 'application/geo+json' },
+            csv: { content: () => this.toCSV(layers), extension: 'csv', mimeType: 'text/csv' },
+            kml: { content: () => this.toKML(layers), extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+        };
+        // Observation formats take the records of every layer passed, which should only be citizen observations
+        const observations = [].concat(...layers.map(layer => layer.records));
+        Object.keys(ObservationFormats.FORMATS).forEach(name => {
+            const observationFormat = ObservationFormats.FORMATS[name];
+            formats[name] = {
+                content: () => this.observationFormats.toJSON(name, observations),
+                extension: `${name}.${observationFormat.extension}`,
+                mimeType: observationFormat.mimeType
+            };
+        });
+        const selected = formats[format];
+        if (!selected) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        this.download(selected.content(), `bloomwatch-${stamp}.${selected.extension}`, selected.mimeType);
+    }
+}
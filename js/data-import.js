@@ -0,0 +1,394 @@
+// BloomWatch - Data Import
+// Parses GeoJSON and CSV files, maps columns onto record fields and validates each row
+
+class DataImporter {
+    constructor(app) {
+        this.app = app;
+        this.observationFormats = new ObservationFormats();
+    }
+
+    // Target fields per dataset. Fields with a default may be left unmapped.
+    static get schemas() {
+        return {
+            bloom: [
+                { name: 'id', label: 'ID', type: 'string', default: null },
+                { name: 'lat', label: 'Latitude', type: 'latitude', required: true },
+                { name: 'lng', label: 'Longitude', type: 'longitude', required: true },
+                { name: 'species', label: 'Species', type: 'string', required: true },
+                { name: 'date', label: 'Date', type: 'date', required: true },
+                { name: 'intensity', label: 'Intensity', type: 'intensity', required: true },
+                { name: 'type', label: 'Bloom Type', type: 'bloomType', default: 'wildflower' },
+                { name: 'confidence', label: 'Confidence', type: 'fraction', default: 1 },
+                { name: 'area', label: 'Area (ha)', type: 'number', min: 0, default: 100 },
+                { name: 'country', label: 'Country', type: 'string', default: 'Unknown' },
+                { name: 'region', label: 'Region', type: 'string', default: null }
+            ],
+            citizen: [
+                { name: 'id', label: 'ID', type: 'string', default: null },
+                { name: 'lat', label: 'Latitude', type: 'latitude', required: true },
+                { name: 'lng', label: 'Longitude', type: 'longitude', required: true },
+                { name: 'species', label: 'Species', type: 'string', required: true },
+                { name: 'date', label: 'Date', type: 'date', required: true },
+                { name: 'observer', label: 'Observer', type: 'string', default: 'Imported' },
+                { name: 'validated', label: 'Validated', type: 'boolean', default: false },
+                { name: 'country', label: 'Country', type: 'string', default: 'Unknown' },
+                { name: 'stage', label: 'Bloom Stage', type: 'stage', default: null },
+                { name: 'photoUrl', label: 'Photo URL', type: 'url', default: null }
+            ],
+            climate: [
+                { name: 'id', label: 'ID', type: 'string', default: null },
+                { name: 'lat', label: 'Latitude', type: 'latitude', required: true },
+                { name: 'lng', label: 'Longitude', type: 'longitude', required: true },
+                { name: 'temperature', label: 'Temperature (°C)', type: 'number', min: -90, max: 60, required: true },
+                { name: 'precipitation', label: 'Precipitation (mm)', type: 'number', min: 0, required: true },
+                { name: 'humidity', label: 'Humidity (%)', type: 'number', min: 0, max: 100, required: true },
+                { name: 'windSpeed', label: 'Wind Speed (m/s)', type: 'number', min: 0, default: null },
+                { name: 'pressure', label: 'Pressure (hPa)', type: 'number', min: 800, max: 1100, default: null },
+                { name: 'date', label: 'Date', type: 'date', default: null },
+                { name: 'region', label: 'Region', type: 'string', default: 'Imported' }
+            ],
+            agricultural: [
+                { name: 'id', label: 'ID', type: 'string', default: null },
+                { name: 'lat', label: 'Latitude', type: 'latitude', required: true },
+                { name: 'lng', label: 'Longitude', type: 'longitude', required: true },
+                { name: 'crop', label: 'Crop', type: 'string', required: true },
+                { name: 'plantingDate', label: 'Planting Date', type: 'date', required: true },
+                { name: 'reportedYield', label: 'Yield (t/ha)', type: 'number', min: 0, default: null },
+                { name: 'soilMoisture', label: 'Soil Moisture (%)', type: 'number', min: 0, max: 100, required: true },
+                { name: 'fertilizerLevel', label: 'Fertilizer Level (%)', type: 'number', min: 0, max: 100, required: true },
+                { name: 'pestPressure', label: 'Pest Pressure (%)', type: 'number', min: 0, max: 100, required: true },
+                { name: 'country', label: 'Country', type: 'string', default: 'Unknown' }
+            ]
+        };
+    }
+
+    // Alternative column names recognised when suggesting a mapping
+    static get aliases() {
+        return {
+            lat: ['lat', 'latitude', 'y'],
+            lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+            species: ['species', 'species_name', 'scientific_name', 'taxon', 'common_name'],
+            date: ['date', 'observed_on', 'observation_date', 'measured_at', 'datetime', 'timestamp'],
+            intensity: ['intensity', 'bloom_intensity', 'percent_flowering', 'bloom_fraction'],
+            type: ['type', 'bloom_type', 'category'],
+            area: ['area', 'area_ha', 'hectares'],
+            observer: ['observer', 'user', 'user_login', 'recorded_by'],
+            validated: ['validated', 'verified', 'is_validated'],
+            stage: ['stage', 'bloom_stage', 'phenology', 'phenophase'],
+            photoUrl: ['photourl', 'photo_url', 'image_url', 'photo'],
+            temperature: ['temperature', 'temp', 'air_temperature', 't2m'],
+            precipitation: ['precipitation', 'precip', 'rainfall', 'prcp'],
+            humidity: ['humidity', 'rh', 'relative_humidity'],
+            windSpeed: ['windspeed', 'wind_speed', 'wind'],
+            plantingDate: ['plantingdate', 'planting_date', 'sowing_date', 'planted'],
+            soilMoisture: ['soilmoisture', 'soil_moisture'],
+            fertilizerLevel: ['fertilizerlevel', 'fertilizer_level', 'fertilizer'],
+            pestPressure: ['pestpressure', 'pest_pressure', 'pests'],
+            reportedYield: ['reportedyield', 'yield', 'reported_yield', 'yield_t_ha']
+        };
+    }
+
+    async readFile(file) {
+        const text = await file.text();
+        const isGeoJSON = /\.(geo)?json$/i.test(file.name) || text.trim().startsWith('{');
+        return isGeoJSON ? this.parseGeoJSON(text) : this.parseCSV(text);
+    }
+
+    // Returns { columns, rows } where rows are plain objects keyed by column name.
+    // iNaturalist and GLOBE Observer exports also get a format, and always import as citizen observations.
+    parseGeoJSON(text) {
+        let geojson;
+        try {
+            geojson = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid GeoJSON: ${error.message}`);
+        }
+
+        const format = this.observationFormats.detect(geojson);
+        if (format) {
+            return Object.assign(this.observationFormats.toRows(format, geojson), { format });
+        }
+
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson] : null;
+        if (!Array.isArray(features)) {
+            throw new Error('GeoJSON must be a Feature or FeatureCollection');
+        }
+
+        const columns = new Set(['latitude', 'longitude']);
+        const rows = features.map(feature => {
+            const row = Object.assign({}, feature.properties);
+            const geometry = feature.geometry;
+            // Point coordinates become latitude/longitude columns; other geometries use their first vertex
+            const position = geometry ? this.firstPosition(geometry.coordinates) : null;
+            row.latitude = position ? position[1] : '';
+            row.longitude = position ? position[0] : '';
+            Object.keys(row).forEach(key => columns.add(key));
+            return row;
+        });
+
+        return { columns: Array.from(columns), rows };
+    }
+
+    firstPosition(coordinates) {
+        let position = coordinates;
+        while (Array.isArray(position) && Array.isArray(position[0])) {
+            position = position[0];
+        }
+        return Array.isArray(position) && position.length >= 2 ? position : null;
+    }
+
+    parseCSV(text) {
+        const lines = this.splitCSV(text.replace(/^\uFEFF/, ''));
+        if (lines.length < 2) {
+            throw new Error('CSV must contain a header row and at least one data row');
+        }
+
+        const columns = lines[0].map(column => column.trim());
+        const rows = lines.slice(1)
+            .filter(values => values.some(value => value.trim() !== ''))
+            .map(values => {
+                const row = {};
+                columns.forEach((column, index) => {
+                    row[column] = values[index] !== undefined ? values[index].trim() : '';
+                });
+                return row;
+            });
+
+        return { columns, rows };
+    }
+
+    // Splits CSV text into rows of fields, honouring quoted fields and escaped quotes
+    splitCSV(text) {
+        const delimiter = this.detectDelimiter(text);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        return candidates.reduce((best, candidate) =>
+            header.split(candidate).length > header.split(best).length ? candidate : best
+        , ',');
+    }
+
+    // Suggests a column for each target field by name and alias
+    suggestMapping(dataset, columns) {
+        const normalize = name => name.toLowerCase().replace(/[\s\-.]/g, '_');
+        const byName = {};
+        columns.forEach(column => {
+            byName[normalize(column)] = column;
+        });
+
+        const mapping = {};
+        DataImporter.schemas[dataset].forEach(field => {
+            const candidates = [field.name.toLowerCase()].concat(DataImporter.aliases[field.name] || []);
+            const match = candidates.map(normalize).find(candidate => byName[candidate]);
+            mapping[field.name] = match ? byName[match] : '';
+        });
+        return mapping;
+    }
+
+    // Converts mapped rows into records; returns { records, errors } with errors listed per row
+    buildRecords(dataset, rows, mapping) {
+        const schema = DataImporter.schemas[dataset];
+        const records = [];
+        const errors = [];
+        const batch = Date.now().toString(36);
+
+        schema.filter(field => field.required && !mapping[field.name]).forEach(field => {
+            errors.push({ row: null, field: field.name, message: `${field.label} is required but not mapped` });
+        });
+        if (errors.length > 0) {
+            return { records, errors };
+        }
+
+        rows.forEach((row, index) => {
+            // Row numbers are 1-based and count data rows only
+            const rowNumber = index + 1;
+            const values = {};
+            let valid = true;
+
+            schema.forEach(field => {
+                const column = mapping[field.name];
+                const raw = column ? row[column] : undefined;
+                const result = this.parseValue(field, raw);
+                if (result.error) {
+                    errors.push({ row: rowNumber, field: field.name, message: result.error });
+                    valid = false;
+                } else {
+                    values[field.name] = result.value;
+                }
+            });
+
+            if (valid) {
+                values.id = values.id || `${dataset}_import_${batch}_${rowNumber}`;
+                records.push(this.createRecord(dataset, values));
+            }
+        });
+
+        return { records, errors };
+    }
+
+    parseValue(field, raw) {
+        const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+        if (isEmpty) {
+            if (field.required) return { error: `${field.label} is missing` };
+            return { value: field.default };
+        }
+
+        const text = String(raw).trim();
+        switch (field.type) {
+            case 'string':
+                return { value: text };
+            case 'latitude':
+                return this.parseNumber(text, field.label, -90, 90);
+            case 'longitude':
+                return this.parseNumber(text, field.label, -180, 180);
+            case 'number':
+                return this.parseNumber(text, field.label, field.min, field.max);
+            case 'fraction': {
+                // Accept either 0-1 or a 0-100 percentage
+                const result = this.parseNumber(text.replace('%', ''), field.label, 0, 100);
+                if (result.error) return result;
+                return { value: result.value > 1 ? result.value / 100 : result.value };
+            }
+            case 'date': {
+                const date = this.parseDate(text);
+                return date ? { value: date } : { error: `${field.label} "${text}" is not a valid date` };
+            }
+            case 'boolean': {
+                const lower = text.toLowerCase();
+                if (['true', 'yes', 'y', '1'].includes(lower)) return { value: true };
+                if (['false', 'no', 'n', '0'].includes(lower)) return { value: false };
+                return { error: `${field.label} "${text}" is not true/false` };
+            }
+            case 'intensity':
+                return this.parseIntensity(text, field.label);
+            case 'stage': {
+                // Stage keys or their labels, e.g. "peak" or "Full Bloom"
+                const lower = text.toLowerCase();
+                const stage = Object.keys(ContributionStore.STAGES).find(key =>
+                    key === lower || ContributionStore.STAGES[key].toLowerCase() === lower);
+                return stage ? { value: stage }
+                    : { error: `${field.label} "${text}" must be one of ${Object.keys(ContributionStore.STAGES).join(', ')}` };
+            }
+            case 'url':
+                return { value: this.parseUrl(text) };
+            case 'bloomType': {
+                const lower = text.toLowerCase();
+                return DataSourceAdapter.BLOOM_TYPES.includes(lower) ? { value: lower }
+                    : { error: `${field.label} "${text}" must be one of ${DataSourceAdapter.BLOOM_TYPES.join(', ')}` };
+            }
+            default:
+                return { value: text };
+        }
+    }
+
+    parseNumber(text, label, min, max) {
+        const value = Number(text);
+        if (text === '' || !Number.isFinite(value)) {
+            return { error: `${label} "${text}" is not a number` };
+        }
+        if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+            return { error: `${label} ${value} is outside ${min} to ${max}` };
+        }
+        return { value };
+    }
+
+    // Only web and object URLs are kept; anything else (javascript:, data:, unparsable) is dropped to null
+    parseUrl(text) {
+        try {
+            return ['http:', 'https:', 'blob:'].includes(new URL(text).protocol) ? text : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    parseDate(text) {
+        // Date-only values are read as local dates, matching the data source adapters
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Accepts intensity band names or a 0-1 / 0-100 value
+    parseIntensity(text, label) {
+        const lower = text.toLowerCase();
+        if (DataSourceAdapter.INTENSITIES.includes(lower)) {
+            return { value: lower };
+        }
+        const result = this.parseNumber(text.replace('%', ''), label, 0, 100);
+        if (result.error) {
+            return { error: `${label} "${text}" must be ${DataSourceAdapter.INTENSITIES.join('/')} or 0-100` };
+        }
+        const fraction = result.value > 1 ? result.value / 100 : result.value;
+        return { value: DataSourceAdapter.intensityFromValue(fraction) };
+    }
+
+    // Fills derived fields so imported records match the generated ones
+    createRecord(dataset, values) {
+        const app = this.app;
+        switch (dataset) {
+            case 'bloom':
+                return Object.assign(values, {
+                    region: values.region || values.country.replace(/ /g, '_'),
+                    climateImpact: app.calculateClimateImpact(values.intensity, values.type),
+                    ecosystemHealth: app.calculateEcosystemHealth(values.intensity, values.type),
+                    agriculturalValue: app.calculateAgriculturalValue(values.type, values.country)
+                });
+            case 'citizen':
+                return values;
+            case 'climate':
+                return Object.assign(values, {
+                    climateZone: app.getClimateZone(values.lat, values.lng)
+                });
+            case 'agricultural': {
+                // Calendars depend on the country and hemisphere; the crop model predicts yields unless reportedYield is given
+                const bloomTiming = app.cropModel.getBloomTiming(values);
+                return Object.assign(values, {
+                    expectedHarvest: app.cropModel.getHarvestDate(values, bloomTiming),
+                    bloomTiming: bloomTiming
+                });
+            }
+            default:
+                return values;
+        }
+    }
+}
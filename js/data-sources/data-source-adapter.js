@@ -0,0 +1,162 @@
+// BloomWatch - Data Source Adapters
+// Common interface for loading source-specific records and normalizing them into bloom records
+
+class DataSourceAdapter {
+    constructor(app, options = {}) {
+        this.app = app;
+        this.id = options.id;
+        this.name = options.name;
+        // Remote endpoint is optional; without one (or when it fails) the bundled fixture is used
+        this.endpoint = options.endpoint || null;
+        this.fixtureUrl = options.fixtureUrl || `data/fixtures/${options.id}.json`;
+    }
+
+    async load() {
+        const raw = await this.fetchRaw();
+        const records = this.extractRecords(raw);
+
+        return records
+            .map((record, index) => this.normalize(record, index))
+            .filter(bloom => bloom && this.isValidBloom(bloom));
+    }
+
+    async fetchRaw() {
+        if (this.endpoint) {
+            try {
+                return await this.fetchJSON(this.endpoint);
+            } catch (error) {
+                console.warn(`${this.name}: remote endpoint failed, using local fixture`, error);
+            }
+        }
+        return this.fetchJSON(this.fixtureUrl);
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Request to ${url} failed with status ${response.status}`);
+        }
+        return response.json();
+    }
+
+    setEndpoint(endpoint) {
+        this.endpoint = endpoint || null;
+    }
+
+    // Returns the list of raw records contained in a source payload
+    extractRecords(raw) {
+        return Array.isArray(raw) ? raw : [];
+    }
+
+    // Converts one raw record into a bloom record, or null to skip it
+    normalize(record, index) {
+        throw new Error(`${this.name} adapter must implement normalize()`);
+    }
+
+    createBloom(fields) {
+        const country = fields.country || 'Unknown';
+        const intensity = fields.intensity;
+        const type = fields.type;
+
+        return {
+            id: fields.id,
+            lat: fields.lat,
+            lng: fields.lng,
+            intensity: intensity,
+            // Index value the intensity was banded from, kept for time-series analysis. Saturating
+            // indices (ARI, RVI) run past 1, so it is clamped to the 0-1 range banding assumes.
+            value: Number.isFinite(fields.value) ? this.clamp(fields.value, 0, 1) : null,
+            type: type,
+            species: fields.species || this.app.getRandomSpecies(country),
+            confidence: this.clamp(fields.confidence, 0, 1),
+            date: this.parseDate(fields.date),
+            area: fields.area,
+            country: country,
+            region: fields.region || country.replace(/ /g, '_'),
+            climateImpact: this.app.calculateClimateImpact(intensity, type),
+            ecosystemHealth: this.app.calculateEcosystemHealth(intensity, type),
+            agriculturalValue: this.app.calculateAgriculturalValue(type, country)
+        };
+    }
+
+    isValidBloom(bloom) {
+        return Number.isFinite(bloom.lat) && Number.isFinite(bloom.lng) &&
+            Math.abs(bloom.lat) <= 90 && Math.abs(bloom.lng) <= 180 &&
+            !isNaN(bloom.date.getTime()) &&
+            DataSourceAdapter.INTENSITIES.includes(bloom.intensity) &&
+            DataSourceAdapter.BLOOM_TYPES.includes(bloom.type);
+    }
+
+    parseDate(value) {
+        if (value instanceof Date) return value;
+        // Date-only strings are read as local dates so they display on the same calendar day
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return new Date(value);
+    }
+
+    intensityFromValue(value) {
+        return DataSourceAdapter.intensityFromValue(value);
+    }
+
+    typeFromLandCover(landCover, intensity) {
+        const types = {
+            'croplands': 'agricultural',
+            'urban': 'urban',
+            'grasslands': 'wildflower',
+            'savannas': 'wildflower',
+            'shrublands': 'wildflower'
+        };
+        const type = types[landCover] || 'wildflower';
+        // Extreme blooms over natural cover are reported as superblooms
+        return type === 'wildflower' && intensity === 'extreme' ? 'superbloom' : type;
+    }
+
+    clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
+
+DataSourceAdapter.INTENSITIES = ['low', 'moderate', 'high', 'extreme'];
+DataSourceAdapter.BLOOM_TYPES = ['superbloom', 'wildflower', 'agricultural', 'urban'];
+
+// Maps a 0-1 index value onto the intensity bands used by the bloomIntensity filter
+DataSourceAdapter.intensityFromValue = (value) => {
+    const v = Math.min(Math.max(value, 0), 1);
+    if (v < 0.25) return 'low';
+    if (v < 0.5) return 'moderate';
+    if (v < 0.75) return 'high';
+    return 'extreme';
+};
+
+class DataSourceRegistry {
+    constructor(app) {
+        this.app = app;
+        this.instances = {};
+    }
+
+    static register(id, AdapterClass) {
+        DataSourceRegistry.adapters[id] = AdapterClass;
+    }
+
+    get(id) {
+        if (!this.instances[id]) {
+            const AdapterClass = DataSourceRegistry.adapters[id];
+            if (!AdapterClass) {
+                throw new Error(`Unknown data source: ${id}`);
+            }
+            this.instances[id] = new AdapterClass(this.app);
+        }
+        return this.instances[id];
+    }
+
+    has(id) {
+        return id in DataSourceRegistry.adapters;
+    }
+
+    load(id) {
+        return this.get(id).load();
+    }
+}
+
+DataSourceRegistry.adapters = {};
@@ -0,0 +1,38 @@
+// BloomWatch - GLOBE Observer adapter
+// Reads citizen land cover observations reporting percent of plants in flower
+
+class GlobeDataSource extends DataSourceAdapter {
+    constructor(app) {
+        super(app, { id: 'globe', name: 'GLOBE Observer' });
+    }
+
+    extractRecords(raw) {
+        return (raw.features || []).filter(feature => feature.geometry && feature.geometry.type === 'Point');
+    }
+
+    normalize(feature) {
+        const props = feature.properties || {};
+        const [lng, lat] = feature.geometry.coordinates;
+        const settingTypes = { 'farm': 'agricultural', 'urban': 'urban', 'natural': 'wildflower' };
+        const value = props.percent_flowering / 100;
+        const intensity = this.intensityFromValue(value);
+        const type = settingTypes[props.setting] || 'wildflower';
+
+        return this.createBloom({
+            id: `globe_${props.observation_id}`,
+            lat: lat,
+            lng: lng,
+            intensity: intensity,
+            value: value,
+            type: type === 'wildflower' && intensity === 'extreme' ? 'superbloom' : type,
+            species: props.species,
+            confidence: props.validated ? 0.85 : 0.6,
+            date: props.measured_at,
+            area: props.estimated_area_ha,
+            country: props.country,
+            region: props.site
+        });
+    }
+}
+
+DataSourceRegistry.register('globe', GlobeDataSource);
@@ -0,0 +1,34 @@
+// BloomWatch - Airborne Hyperspectral adapter
+// Reads AVIRIS-NG flightline pixels with per-pixel flowering fraction
+
+class HyperspectralDataSource extends DataSourceAdapter {
+    constructor(app) {
+        super(app, { id: 'hyperspectral', name: 'Airborne Hyperspectral' });
+    }
+
+    extractRecords(raw) {
+        return (raw.flightlines || []).flatMap(flightline =>
+            (flightline.pixels || []).map((pixel, index) => ({ flightline, pixel, index }))
+        );
+    }
+
+    normalize({ flightline, pixel, index }) {
+        return this.createBloom({
+            id: `hyperspectral_${flightline.flight_id}_${index}`,
+            lat: pixel.lat,
+            lng: pixel.lon,
+            intensity: this.intensityFromValue(pixel.fraction_flowering),
+            value: pixel.fraction_flowering,
+            type: pixel.cover_type,
+            species: pixel.species,
+            // Full spectral unmixing is the most reliable detection we ingest
+            confidence: 0.95,
+            date: flightline.date,
+            area: pixel.area_ha,
+            country: flightline.country,
+            region: flightline.site
+        });
+    }
+}
+
+DataSourceRegistry.register('hyperspectral', HyperspectralDataSource);
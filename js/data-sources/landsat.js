@@ -0,0 +1,35 @@
+// BloomWatch - Landsat 8/9 Optical adapter
+// Reads per-scene bloom detections; scene cloud cover lowers detection confidence
+
+class LandsatDataSource extends DataSourceAdapter {
+    constructor(app) {
+        super(app, { id: 'landsat', name: 'Landsat 8/9 Optical' });
+    }
+
+    extractRecords(raw) {
+        // Flatten detections so each keeps a reference to its scene
+        return (raw.scenes || []).flatMap(scene =>
+            (scene.detections || []).map((detection, index) => ({ scene, detection, index }))
+        );
+    }
+
+    normalize({ scene, detection, index }) {
+        const intensity = this.intensityFromValue(detection.bloom_fraction);
+        return this.createBloom({
+            id: `landsat_${scene.scene_id}_${index}`,
+            lat: detection.lat,
+            lng: detection.lon,
+            intensity: intensity,
+            value: detection.bloom_fraction,
+            type: detection.class,
+            species: detection.species,
+            confidence: 0.95 - (scene.cloud_cover / 100),
+            date: scene.acquired,
+            area: detection.area_ha,
+            country: scene.country,
+            region: scene.site
+        });
+    }
+}
+
+DataSourceRegistry.register('landsat', LandsatDataSource);
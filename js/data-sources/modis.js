@@ -0,0 +1,36 @@
+// BloomWatch - MODIS Vegetation Indices adapter
+// Reads MOD13Q1 16-day composite pixels (NDVI/EVI) and flags flowering from EVI
+
+class ModisDataSource extends DataSourceAdapter {
+    constructor(app) {
+        super(app, { id: 'modis', name: 'MODIS Vegetation Indices' });
+        this.pixelAreaHectares = 6.25; // 250m x 250m pixel
+    }
+
+    extractRecords(raw) {
+        return raw.records || [];
+    }
+
+    normalize(record) {
+        // pixel_reliability: 0 = good, 1 = marginal, 2 = snow/ice, 3 = cloudy
+        if (record.pixel_reliability > 1) return null;
+
+        const intensity = this.intensityFromValue(record.evi);
+        return this.createBloom({
+            id: `modis_${record.pixel_id}`,
+            lat: record.latitude,
+            lng: record.longitude,
+            intensity: intensity,
+            value: record.evi,
+            type: this.typeFromLandCover(record.land_cover, intensity),
+            species: record.species,
+            confidence: record.pixel_reliability === 0 ? 0.9 : 0.7,
+            date: record.composite_date,
+            area: record.pixel_count * this.pixelAreaHectares,
+            country: record.country,
+            region: record.site
+        });
+    }
+}
+
+DataSourceRegistry.register('modis', ModisDataSource);
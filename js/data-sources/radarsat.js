@@ -0,0 +1,41 @@
+// BloomWatch - RADARSAT Radar adapter
+// Converts VV/VH backscatter into the Radar Vegetation Index as a canopy structure proxy
+
+class RadarsatDataSource extends DataSourceAdapter {
+    constructor(app) {
+        super(app, { id: 'radarsat', name: 'RADARSAT Radar' });
+    }
+
+    extractRecords(raw) {
+        return raw.acquisitions || [];
+    }
+
+    normalize(record) {
+        const value = this.radarVegetationIndex(record.vv_db, record.vh_db);
+        const intensity = this.intensityFromValue(value);
+        return this.createBloom({
+            id: `radarsat_${record.id}`,
+            lat: record.lat,
+            lng: record.lon,
+            intensity: intensity,
+            value: value,
+            type: this.typeFromLandCover(record.landcover, intensity),
+            species: record.species,
+            // Interferometric coherence stands in for detection quality
+            confidence: record.coherence,
+            date: record.date,
+            area: record.footprint_ha,
+            country: record.country,
+            region: record.site
+        });
+    }
+
+    // Dual-pol RVI = 4 * VH / (VV + VH), computed on linear power
+    radarVegetationIndex(vvDb, vhDb) {
+        const vv = Math.pow(10, vvDb / 10);
+        const vh = Math.pow(10, vhDb / 10);
+        return (4 * vh) / (vv + vh);
+    }
+}
+
+DataSourceRegistry.register('radarsat', RadarsatDataSource);
@@ -0,0 +1,37 @@
+// BloomWatch - Sentinel-2 Multispectral adapter
+// Reads L2A detections as GeoJSON; the Anthocyanin Reflectance Index drives bloom intensity
+
+class SentinelDataSource extends DataSourceAdapter {
+    constructor(app) {
+        super(app, { id: 'sentinel', name: 'Sentinel-2 Multispectral' });
+        this.ariSaturation = 0.1; // ARI values above this are treated as full bloom
+    }
+
+    extractRecords(raw) {
+        return (raw.features || []).filter(feature => feature.geometry && feature.geometry.type === 'Point');
+    }
+
+    normalize(feature, index) {
+        const props = feature.properties || {};
+        const [lng, lat] = feature.geometry.coordinates;
+        const value = props.ari / this.ariSaturation;
+        const intensity = this.intensityFromValue(value);
+
+        return this.createBloom({
+            id: `sentinel_${props.tile}_${index}`,
+            lat: lat,
+            lng: lng,
+            intensity: intensity,
+            value: value,
+            type: this.typeFromLandCover(props.landcover, intensity),
+            species: props.species,
+            confidence: 1 - (props.cloud_probability / 100),
+            date: props.sensing_time,
+            area: props.area_m2 / 10000,
+            country: props.country,
+            region: props.site
+        });
+    }
+}
+
+DataSourceRegistry.register('sentinel', SentinelDataSource);
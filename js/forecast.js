@@ -0,0 +1,151 @@
+// BloomWatch - Bloom Forecasting
+// Next-bloom dates from growing-degree-day accumulation, calibrated on past blooms or crop calendars
+
+class BloomForecaster {
+    constructor(options = {}) {
+        this.baseTemperature = options.baseTemperature || 5; // °C, wild and ornamental flowering
+        this.cropBaseTemperature = options.cropBaseTemperature || 10; // °C, field crops
+        this.horizonDays = options.horizonDays || 730;
+        this.minUncertaintyDays = options.minUncertaintyDays || 3;
+    }
+
+    // Daily temperatures for a station: its monthly reading when one exists, otherwise that month's normal
+    temperatureModel(station) {
+        const actual = {};
+        const sums = new Array(12).fill(0);
+        const counts = new Array(12).fill(0);
+        station.readings.forEach(reading => {
+            const month = reading.date.getMonth();
+            actual[`${reading.date.getFullYear()}-${month}`] = reading.temperature;
+            sums[month] += reading.temperature;
+            counts[month]++;
+        });
+        const normals = sums.map((sum, month) => counts[month] ? sum / counts[month] : station.temperature);
+
+        // Spread of monthly anomalies drives the forecast uncertainty
+        const anomalies = station.readings.map(reading => reading.temperature - normals[reading.date.getMonth()]);
+        const variability = anomalies.length
+            ? Math.sqrt(anomalies.reduce((sum, anomaly) => sum + anomaly * anomaly, 0) / anomalies.length)
+            : 0;
+
+        return {
+            station,
+            variability,
+            normal: date => normals[date.getMonth()],
+            at: date => {
+                const key = `${date.getFullYear()}-${date.getMonth()}`;
+                return key in actual ? actual[key] : normals[date.getMonth()];
+            }
+        };
+    }
+
+    // Growing degree days in [from, to) using the given daily temperature function
+    accumulate(temperatureAt, from, to, base) {
+        let total = 0;
+        const date = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        while (date < to) {
+            total += Math.max(0, temperatureAt(date) - base);
+            date.setDate(date.getDate() + 1);
+        }
+        return total;
+    }
+
+    // First day from `from` on which the accumulated GDD reaches `required`
+    dateReaching(temperatureAt, from, required, base) {
+        let total = 0;
+        const date = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        for (let day = 0; day < this.horizonDays; day++) {
+            total += Math.max(0, temperatureAt(date) - base);
+            if (total >= required) return { date: new Date(date), days: day };
+            date.setDate(date.getDate() + 1);
+        }
+        return null;
+    }
+
+    // Heat accumulation restarts on 1 January in the north and 1 July in the south
+    seasonStart(date, lat) {
+        if (lat >= 0) return new Date(date.getFullYear(), 0, 1);
+        return date.getMonth() >= 6 ? new Date(date.getFullYear(), 6, 1) : new Date(date.getFullYear() - 1, 6, 1);
+    }
+
+    // site: { id, lat, lng, history: [{ date, value }] }; each past bloom tells how much heat the site needs
+    forecastSite(site, model, reference, distanceKm = 0) {
+        const base = this.baseTemperature;
+        const samples = site.history.map(bloom =>
+            this.accumulate(model.at, this.seasonStart(bloom.date, site.lat), bloom.date, base)
+        );
+        if (samples.length === 0) return null;
+
+        const required = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        const spread = Math.sqrt(samples.reduce((sum, value) => sum + Math.pow(value - required, 2), 0) / samples.length);
+
+        // Heat already gathered this season; if the requirement is met the next bloom is next season
+        let from = reference;
+        let remaining = required - this.accumulate(model.at, this.seasonStart(reference, site.lat), reference, base);
+        if (remaining <= 0) {
+            from = this.seasonStart(new Date(reference.getFullYear() + 1, reference.getMonth(), reference.getDate()), site.lat);
+            remaining = required;
+        }
+        const hit = this.dateReaching(model.at, from, remaining, base);
+        if (!hit) return null;
+
+        const value = site.history.reduce((sum, bloom) => sum + bloom.value, 0) / site.history.length;
+        return this.describe(hit, model, base, {
+            calibrationGdd: spread,
+            samples: samples.length,
+            requiredGdd: required,
+            value,
+            distanceKm
+        });
+    }
+
+    // The crop calendar sets the heat requirement; this year's temperatures move the date
+    forecastField(field, model, reference, bloomTimingOf, distanceKm = 0) {
+        const base = this.cropBaseTemperature;
+        const calendarBloom = bloomTimingOf(field);
+        const required = this.accumulate(model.normal, field.plantingDate, calendarBloom, base);
+        const hit = this.dateReaching(model.at, field.plantingDate, required, base);
+        if (!hit || hit.date < reference) return null;
+
+        // Water availability drives flowering; pest pressure holds it back
+        const value = (field.soilMoisture / 100) * (1 - field.pestPressure / 200);
+        return this.describe(hit, model, base, {
+            // A calendar month pins the bloom down to roughly nine days either way
+            calibrationGdd: 9 * this.rateAt(model, hit.date, base),
+            samples: 1,
+            requiredGdd: required,
+            value,
+            distanceKm,
+            calendarBloom
+        });
+    }
+
+    // GDD per day near the forecast date, floored so cold spells do not inflate the uncertainty
+    rateAt(model, date, base) {
+        return Math.max(1, model.normal(date) - base);
+    }
+
+    describe(hit, model, base, { calibrationGdd, samples, requiredGdd, value, distanceKm, calendarBloom }) {
+        const rate = this.rateAt(model, hit.date, base);
+        // Monthly anomalies persist for about 30 days, so they add up over the remaining months
+        const weatherDays = (model.variability * Math.sqrt(30 * Math.max(hit.days, 1))) / rate;
+        const uncertaintyDays = Math.max(this.minUncertaintyDays,
+            Math.sqrt(Math.pow(calibrationGdd / rate, 2) + Math.pow(weatherDays, 2)));
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        return {
+            date: hit.date,
+            earliest: new Date(hit.date.getTime() - uncertaintyDays * dayMs),
+            latest: new Date(hit.date.getTime() + uncertaintyDays * dayMs),
+            uncertaintyDays,
+            requiredGdd,
+            value,
+            intensity: DataSourceAdapter.intensityFromValue(value),
+            // Narrow windows, more calibration blooms and a nearby station earn more confidence
+            confidence: Math.max(0, 1 - uncertaintyDays / 60) * Math.min(1, 0.5 + samples / 6) * Math.exp(-distanceKm / 1000),
+            station: model.station.id,
+            distanceKm,
+            calendarBloom: calendarBloom || null
+        };
+    }
+}
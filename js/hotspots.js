@@ -0,0 +1,199 @@
+// BloomWatch - Hotspot Detection
+// Getis-Ord Gi* hot spots grouped into clusters with DBSCAN, outlined by convex hulls
+
+class HotspotDetector {
+    constructor(options = {}) {
+        this.radius = options.radius || 150; // Neighbourhood radius in km
+        this.minPoints = options.minPoints || 3;
+        this.significance = options.significance || 0.95;
+    }
+
+    // One-sided critical z-scores for hot spots
+    static criticalZ(significance) {
+        return { 0.90: 1.645, 0.95: 1.96, 0.99: 2.576 }[significance] || 1.96;
+    }
+
+    // weightOf gives the attribute analysed by Gi*, e.g. intensity times area
+    detect(records, weightOf) {
+        if (records.length < 2) return [];
+
+        const points = records.map(record => ({ record, weight: weightOf(record), z: 0 }));
+        const forEachNeighbour = this.indexNeighbours(points);
+
+        this.scoreGiStar(points, forEachNeighbour);
+        const critical = HotspotDetector.criticalZ(this.significance);
+        const hot = [];
+        const hotNeighbours = new Map();
+        points.forEach((point, index) => {
+            if (point.z < critical) return;
+            const neighbours = [];
+            forEachNeighbour(index, other => {
+                if (points[other].z >= critical) neighbours.push(other);
+            });
+            hot.push(point);
+            hotNeighbours.set(point, neighbours.sort((a, b) => a - b).map(other => points[other]));
+        });
+
+        return this.dbscan(hot, hotNeighbours).map(members => this.describeCluster(members));
+    }
+
+    // Returns forEachNeighbour(index, visit), which calls visit with the index of every point within the
+    // radius of points[index], itself included. Points are bucketed in cells one radius high, so each
+    // search only covers the cells its radius can reach rather than every point.
+    indexNeighbours(points) {
+        const reach = this.radius / 6371; // Radians of arc
+        const cellDegrees = reach * 180 / Math.PI;
+        const rows = Math.ceil(180 / cellDegrees);
+        const columns = Math.max(1, Math.floor(360 / cellDegrees));
+        const cellWidth = 360 / columns;
+        const rowOf = lat => Math.min(rows - 1, Math.floor((lat + 90) / cellDegrees));
+        const columnOf = lng => ((Math.floor((lng + 180) / cellWidth) % columns) + columns) % columns;
+
+        // Trigonometry per point, so each pair only costs one cosine (spherical law of cosines)
+        const toRadians = Math.PI / 180;
+        const sinLat = new Float64Array(points.length);
+        const cosLat = new Float64Array(points.length);
+        const lngs = new Float64Array(points.length);
+        const cells = new Map();
+        points.forEach((point, index) => {
+            sinLat[index] = Math.sin(point.record.lat * toRadians);
+            cosLat[index] = Math.cos(point.record.lat * toRadians);
+            lngs[index] = point.record.lng * toRadians;
+            const key = rowOf(point.record.lat) * columns + columnOf(point.record.lng);
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(index);
+        });
+        const minCos = Math.cos(reach);
+
+        return (index, visit) => {
+            const { lat, lng } = points[index].record;
+            // Widest longitude difference on the circle of the radius; near the poles it covers every column
+            const ratio = Math.sin(reach) / cosLat[index];
+            const lngReach = ratio < 1 ? Math.asin(ratio) * 180 / Math.PI : 180;
+            const first = Math.floor((lng + 180 - lngReach) / cellWidth);
+            const last = Math.min(first + columns - 1, Math.floor((lng + 180 + lngReach) / cellWidth));
+
+            for (let row = rowOf(Math.max(-90, lat - cellDegrees)); row <= rowOf(Math.min(90, lat + cellDegrees)); row++) {
+                for (let column = first; column <= last; column++) {
+                    const cell = cells.get(row * columns + ((column % columns) + columns) % columns);
+                    if (!cell) continue;
+                    for (let i = 0; i < cell.length; i++) {
+                        const other = cell[i];
+                        const cos = sinLat[index] * sinLat[other] + cosLat[index] * cosLat[other] * Math.cos(lngs[other] - lngs[index]);
+                        if (cos >= minCos) visit(other);
+                    }
+                }
+            }
+        };
+    }
+
+    // Gi* with binary weights: each point's neighbourhood (itself included) against the global mean
+    scoreGiStar(points, forEachNeighbour) {
+        const n = points.length;
+        const mean = points.reduce((sum, point) => sum + point.weight, 0) / n;
+        const spread = Math.sqrt(Math.max(0, points.reduce((sum, point) => sum + point.weight * point.weight, 0) / n - mean * mean));
+
+        points.forEach((point, index) => {
+            let count = 0;
+            let sum = 0;
+            forEachNeighbour(index, other => {
+                count++;
+                sum += points[other].weight;
+            });
+            const denominator = spread * Math.sqrt((n * count - count * count) / (n - 1));
+            point.z = denominator > 0 ? (sum - mean * count) / denominator : 0;
+        });
+    }
+
+    // Groups hot points that are within the radius of a core point (one with enough hot neighbours)
+    dbscan(points, neighbours) {
+        const labels = new Map();
+        const clusters = [];
+
+        points.forEach(point => {
+            if (labels.has(point)) return;
+            const seeds = neighbours.get(point);
+            if (seeds.length < this.minPoints) {
+                labels.set(point, null); // Noise unless a later cluster reaches it
+                return;
+            }
+
+            const members = [];
+            clusters.push(members);
+            const queue = [point];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                if (labels.get(current)) continue;
+                labels.set(current, members);
+                members.push(current);
+
+                const reachable = neighbours.get(current);
+                if (reachable.length >= this.minPoints) {
+                    reachable.forEach(other => {
+                        if (!labels.get(other)) queue.push(other);
+                    });
+                }
+            }
+        });
+
+        return clusters;
+    }
+
+    describeCluster(points) {
+        const records = points.map(point => point.record);
+        const meanZ = points.reduce((sum, point) => sum + point.z, 0) / points.length;
+        const speciesCounts = {};
+        records.forEach(record => {
+            speciesCounts[record.species] = (speciesCounts[record.species] || 0) + 1;
+        });
+        const dominantSpecies = Object.keys(speciesCounts).sort((a, b) => speciesCounts[b] - speciesCounts[a])[0];
+
+        return {
+            members: records,
+            meanZ,
+            confidence: meanZ >= 2.576 ? 99 : meanZ >= 1.96 ? 95 : 90,
+            dominantSpecies,
+            dominantShare: speciesCounts[dominantSpecies] / records.length,
+            totalArea: records.reduce((sum, record) => sum + (record.area || 0), 0),
+            centroid: [
+                records.reduce((sum, record) => sum + record.lat, 0) / records.length,
+                records.reduce((sum, record) => sum + record.lng, 0) / records.length
+            ],
+            hull: HotspotDetector.convexHull(records.map(record => [record.lat, record.lng]))
+        };
+    }
+
+    // Whether a record lies within the radius of any cluster member
+    isInCluster(record, cluster) {
+        return cluster.members.some(member => HotspotDetector.distanceKm(record, member) <= this.radius);
+    }
+
+    // Andrew's monotone chain on [lat, lng] pairs
+    static convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a[1] - o[1]) * (b[0] - o[0]) - (a[0] - o[0]) * (b[1] - o[1]);
+        const lower = [];
+        sorted.forEach(point => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+            lower.push(point);
+        });
+        const upper = [];
+        sorted.slice().reverse().forEach(point => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+            upper.push(point);
+        });
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    // Great-circle distance between two { lat, lng } records
+    static distanceKm(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(b.lat - a.lat);
+        const dLng = toRadians(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+}
@@ -0,0 +1,58 @@
+// BloomWatch - K-d Tree
+// Nearest-neighbour index over fixed-length feature vectors, used by the k-nearest-neighbour models
+
+class KDTree {
+    // items: [{ features, ... }], every features array of the same length
+    constructor(items) {
+        this.size = items.length;
+        this.root = this.build(items.slice(), 0);
+    }
+
+    // Splits on the median of one feature per level, cycling through the features
+    build(items, depth) {
+        if (items.length === 0) return null;
+        const axis = depth % items[0].features.length;
+        items.sort((a, b) => a.features[axis] - b.features[axis]);
+        const middle = items.length >> 1;
+        return {
+            item: items[middle],
+            axis,
+            left: this.build(items.slice(0, middle), depth + 1),
+            right: this.build(items.slice(middle + 1), depth + 1)
+        };
+    }
+
+    // The k items closest to point as [{ item, distance }], nearest first; skip(item) leaves an item out.
+    // A subtree is only searched when its splitting plane is closer than the k-th best so far.
+    nearest(point, k, skip = null) {
+        const best = [];
+        const visit = node => {
+            if (!node) return;
+            if (!skip || !skip(node.item)) {
+                const distance = KDTree.distance(node.item.features, point);
+                if (best.length < k || distance < best[best.length - 1].distance) {
+                    let index = best.length;
+                    while (index > 0 && best[index - 1].distance > distance) index--;
+                    best.splice(index, 0, { item: node.item, distance });
+                    if (best.length > k) best.pop();
+                }
+            }
+
+            const offset = point[node.axis] - node.item.features[node.axis];
+            visit(offset < 0 ? node.left : node.right);
+            if (best.length < k || Math.abs(offset) < best[best.length - 1].distance) {
+                visit(offset < 0 ? node.right : node.left);
+            }
+        };
+        visit(this.root);
+        return best;
+    }
+
+    static distance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += (a[i] - b[i]) * (a[i] - b[i]);
+        }
+        return Math.sqrt(sum);
+    }
+}
@@ -0,0 +1,244 @@
+// BloomWatch - Machine Learning Models
+// Client-side species classification, bloom prediction, density estimation and hotspot detection
+
+class BloomModels {
+    constructor(options = {}) {
+        this.k = options.k || 5;
+        this.validationFraction = options.validationFraction || 0.2;
+        this.cellSize = options.cellSize || 1; // Degrees
+        this.bandwidthKm = options.bandwidthKm || 150; // Kernel bandwidth
+        this.hotspots = new HotspotDetector(options.hotspots);
+    }
+
+    // Records whose id hashes below the fraction are held out, so the split is stable between runs
+    split(records) {
+        const training = [];
+        const validation = [];
+        records.forEach(record => {
+            (BloomModels.hash(String(record.id)) < this.validationFraction ? validation : training).push(record);
+        });
+        return { training, validation };
+    }
+
+    // Location in tens of degrees plus day of year on a unit circle
+    features(lat, lng, date) {
+        const angle = ((PhenologyEngine.dayOfYear(date) - 1) / 365) * 2 * Math.PI;
+        return [lat / 10, lng / 10, Math.sin(angle), Math.cos(angle)];
+    }
+
+    recordFeatures(record) {
+        return this.features(record.lat, record.lng, record.date);
+    }
+
+    // exclude keeps a record from voting on itself when it is also in the training set
+    nearest(training, point, exclude = null) {
+        return training.nearest(point, this.k, exclude ? entry => entry.source === exclude : null)
+            .map(({ item, distance }) => ({ record: item, distance }));
+    }
+
+    // Inverse-distance weighted vote; returns the winning label and its share of the vote
+    classify(training, point, labelOf, exclude = null) {
+        const votes = {};
+        let total = 0;
+        this.nearest(training, point, exclude).forEach(({ record, distance }) => {
+            const weight = 1 / (distance + 1e-6);
+            const label = labelOf(record.source);
+            votes[label] = (votes[label] || 0) + weight;
+            total += weight;
+        });
+        const label = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0];
+        return label === undefined ? null : { label, probability: votes[label] / total };
+    }
+
+    // Inverse-distance weighted mean of the neighbours' values
+    regress(training, point, valueOf) {
+        let sum = 0;
+        let total = 0;
+        this.nearest(training, point).forEach(({ record, distance }) => {
+            const weight = 1 / (distance + 1e-6);
+            sum += valueOf(record.source) * weight;
+            total += weight;
+        });
+        return total ? sum / total : null;
+    }
+
+    // Indexed so each neighbour search visits a few branches rather than the whole training set
+    prepare(records) {
+        return new KDTree(records.map(record => ({ source: record, features: this.recordFeatures(record) })));
+    }
+
+    // targets: blooms to label with a predicted species
+    runSpecies(records, targets) {
+        const labelled = records.filter(record => record.species);
+        const { training, validation } = this.split(labelled);
+        const model = this.prepare(training);
+        if (model.size === 0) return null;
+
+        const correct = validation.filter(record =>
+            this.classify(model, this.recordFeatures(record), r => r.species).label === record.species
+        ).length;
+        const predictions = targets.map(record => {
+            const result = this.classify(model, this.recordFeatures(record), r => r.species, record);
+            if (!result) return null;
+            return { record, predicted: result.label, probability: result.probability, correct: result.label === record.species };
+        }).filter(prediction => prediction !== null);
+
+        return {
+            model: 'species',
+            accuracy: validation.length ? correct / validation.length : null,
+            accuracyLabel: 'Held-out species accuracy',
+            trainingCount: training.length,
+            validationCount: validation.length,
+            predictions,
+            summary: [
+                { label: 'Species Classes', value: new Set(training.map(record => record.species)).size },
+                { label: 'Visible Blooms Matching', value: `${predictions.filter(p => p.correct).length} of ${predictions.length}` }
+            ]
+        };
+    }
+
+    // Training and held-out evaluation, which depend only on the records, so callers can reuse them
+    trainBloomPrediction(records, valueOf) {
+        const { training, validation } = this.split(records);
+        const model = this.prepare(training);
+
+        let correct = 0;
+        let absoluteError = 0;
+        if (model.size > 0) {
+            validation.forEach(record => {
+                const predicted = this.regress(model, this.recordFeatures(record), valueOf);
+                if (DataSourceAdapter.intensityFromValue(predicted) === record.intensity) correct++;
+                absoluteError += Math.abs(predicted - valueOf(record));
+            });
+        }
+        return { model, training, validation, correct, absoluteError };
+    }
+
+    // trained comes from trainBloomPrediction; sites: [{ id, lat, lng }] to forecast at the target date
+    runBloomPrediction(trained, sites, targetDate, valueOf) {
+        const { model, training, validation, correct, absoluteError } = trained;
+        if (model.size === 0) return null;
+
+        const predictions = sites.map(site => {
+            const value = this.regress(model, this.features(site.lat, site.lng, targetDate), valueOf);
+            return Object.assign({}, site, { value, intensity: DataSourceAdapter.intensityFromValue(value) });
+        });
+
+        return {
+            model: 'bloom-prediction',
+            accuracy: validation.length ? correct / validation.length : null,
+            accuracyLabel: 'Held-out intensity class accuracy',
+            trainingCount: training.length,
+            validationCount: validation.length,
+            predictions,
+            summary: [
+                { label: 'Sites Forecast', value: predictions.length },
+                { label: 'High or Extreme', value: predictions.filter(p => p.intensity === 'high' || p.intensity === 'extreme').length },
+                { label: 'Mean Absolute Error', value: validation.length ? (absoluteError / validation.length).toFixed(3) : 'n/a' }
+            ]
+        };
+    }
+
+    // Gaussian kernel density on a grid around the training points, each weighted by weightOf
+    runDensity(records, weightOf = () => 1) {
+        const { training, validation } = this.split(records);
+        if (training.length === 0) return null;
+
+        const cells = {};
+        const bandwidth = this.bandwidthKm / 111; // Degrees of latitude
+        const reach = Math.ceil((3 * bandwidth) / this.cellSize);
+        training.forEach(record => {
+            const row = Math.floor(record.lat / this.cellSize);
+            const col = Math.floor(record.lng / this.cellSize);
+            const recordWeight = weightOf(record);
+            for (let r = row - reach; r <= row + reach; r++) {
+                for (let c = col - reach; c <= col + reach; c++) {
+                    const dLat = (r + 0.5) * this.cellSize - record.lat;
+                    const dLng = (c + 0.5) * this.cellSize - record.lng;
+                    const weight = Math.exp(-(dLat * dLat + dLng * dLng) / (2 * bandwidth * bandwidth));
+                    if (weight < 0.01) continue;
+                    const key = `${r}_${c}`;
+                    if (!cells[key]) cells[key] = { row: r, col: c, density: 0 };
+                    cells[key].density += weight * recordWeight;
+                }
+            }
+        });
+
+        const grid = Object.values(cells);
+        const maxDensity = Math.max(...grid.map(cell => cell.density)) || 1;
+        grid.forEach(cell => {
+            cell.density /= maxDensity;
+            cell.bounds = this.cellBounds(cell.row, cell.col);
+        });
+
+        // Held-out blooms captured by the densest quarter of the estimated cells
+        const ranked = grid.slice().sort((a, b) => b.density - a.density);
+        const densest = new Set(ranked.slice(0, Math.ceil(ranked.length / 4)).map(cell => `${cell.row}_${cell.col}`));
+        const captured = validation.filter(record => densest.has(this.cellKey(record))).length;
+
+        return {
+            model: 'density-estimation',
+            accuracy: validation.length ? captured / validation.length : null,
+            accuracyLabel: 'Held-out blooms in the densest 25% of cells',
+            trainingCount: training.length,
+            validationCount: validation.length,
+            cells: grid.filter(cell => cell.density >= 0.05),
+            summary: [
+                { label: 'Grid Cells', value: grid.length },
+                { label: 'Bandwidth', value: `${this.bandwidthKm} km` }
+            ]
+        };
+    }
+
+    // Gi* clusters over every record. The held-out check re-runs the detection without the
+    // validation blooms and counts how many of the intense ones fall inside the clusters found.
+    runHotspots(records, weightOf) {
+        if (records.length === 0) return null;
+
+        const clusters = this.hotspots.detect(records, weightOf);
+        const { training, validation } = this.split(records);
+        const trainingClusters = this.hotspots.detect(training, weightOf);
+        const intense = validation.filter(record => record.intensity === 'high' || record.intensity === 'extreme');
+        const captured = intense.filter(record =>
+            trainingClusters.some(cluster => this.hotspots.isInCluster(record, cluster))
+        ).length;
+
+        return {
+            model: 'hotspot-detection',
+            accuracy: intense.length ? captured / intense.length : null,
+            accuracyLabel: 'Held-out intense blooms inside hotspots',
+            trainingCount: training.length,
+            validationCount: validation.length,
+            clusters,
+            summary: [
+                { label: 'Hotspot Clusters', value: clusters.length },
+                { label: 'Blooms in Clusters', value: clusters.reduce((sum, cluster) => sum + cluster.members.length, 0) },
+                { label: 'Significance', value: `${Math.round(this.hotspots.significance * 100)}%` }
+            ]
+        };
+    }
+
+    cellKey(record, cellSize = this.cellSize) {
+        return `${Math.floor(record.lat / cellSize)}_${Math.floor(record.lng / cellSize)}`;
+    }
+
+    cellBounds(row, col, cellSize = this.cellSize) {
+        return [[row * cellSize, col * cellSize], [(row + 1) * cellSize, (col + 1) * cellSize]];
+    }
+
+    // FNV-1a string hash with a final avalanche step, scaled to [0, 1)
+    static hash(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        // Ids often differ only in their last characters, so mix those into the high bits
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 2246822507);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 3266489909);
+        hash ^= hash >>> 16;
+        return (hash >>> 0) / 4294967296;
+    }
+}
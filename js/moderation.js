@@ -0,0 +1,119 @@
+// BloomWatch - Observation Moderation
+// Review queue for citizen observations, flagging those that disagree with satellite blooms or a species' known range
+
+class ObservationModerator {
+    constructor(options = {}) {
+        this.conflictRadiusKm = options.conflictRadiusKm || 100;
+        this.conflictDays = options.conflictDays || 30;
+        this.rangeKm = options.rangeKm || 1500;
+        this.reviewerKey = options.reviewerKey || 'bloomwatch.reviewer';
+        this.reviewer = this.loadReviewer();
+    }
+
+    loadReviewer() {
+        try {
+            return localStorage.getItem(this.reviewerKey) || '';
+        } catch (error) {
+            console.warn('Could not read the reviewer name', error);
+            return '';
+        }
+    }
+
+    setReviewer(reviewer) {
+        this.reviewer = (reviewer || '').trim();
+        try {
+            localStorage.setItem(this.reviewerKey, this.reviewer);
+        } catch (error) {
+            console.warn('Could not save the reviewer name', error);
+        }
+    }
+
+    isPending(observation) {
+        return !observation.validated && observation.status !== 'rejected';
+    }
+
+    // Pending observations with their flags, flagged ones first and then newest first.
+    // knownRange is a list of { species, lat, lng } places each species is known to grow.
+    getQueue(observations, blooms, knownRange) {
+        const references = this.indexBySpecies(blooms.concat(knownRange, observations.filter(o => o.validated)));
+        return observations
+            .filter(observation => this.isPending(observation))
+            .map(observation => ({ observation, flags: this.flag(observation, blooms, references) }))
+            .sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || b.observation.date - a.observation.date);
+    }
+
+    indexBySpecies(records) {
+        const index = new Map();
+        records.forEach(record => {
+            if (!index.has(record.species)) index.set(record.species, []);
+            index.get(record.species).push(record);
+        });
+        return index;
+    }
+
+    flag(observation, blooms, references) {
+        return [
+            this.checkSatellite(observation, blooms),
+            this.checkRange(observation, references.get(observation.species) || [])
+        ].filter(Boolean);
+    }
+
+    // A flowering report where every nearby satellite detection from around the same time is low intensity
+    checkSatellite(observation, blooms) {
+        if (['budding', 'fruiting', 'none'].includes(observation.stage)) return null;
+        const span = this.conflictDays * 24 * 60 * 60 * 1000;
+        const nearby = blooms.filter(bloom =>
+            Math.abs(bloom.date - observation.date) <= span &&
+            HotspotDetector.distanceKm(bloom, observation) <= this.conflictRadiusKm
+        );
+        if (nearby.length === 0 || nearby.some(bloom => bloom.intensity !== 'low')) return null;
+        return {
+            type: 'satellite',
+            message: `${nearby.length} satellite detection${nearby.length === 1 ? '' : 's'} within ${this.conflictRadiusKm} km show only low bloom intensity`
+        };
+    }
+
+    checkRange(observation, references) {
+        if (references.length === 0) {
+            return { type: 'range', message: `No known records of ${observation.species}` };
+        }
+        const nearest = references.reduce((best, reference) =>
+            reference === observation ? best : Math.min(best, HotspotDetector.distanceKm(reference, observation)), Infinity);
+        if (nearest <= this.rangeKm) return null;
+        return {
+            type: 'range',
+            message: Number.isFinite(nearest)
+                ? `Nearest known ${observation.species} record is ${Math.round(nearest).toLocaleString()} km away`
+                : `No known records of ${observation.species}`
+        };
+    }
+
+    // Reviews return a new record so keyed layers restyle it
+    approve(observation) {
+        return this.review(observation, { validated: true, status: 'approved' });
+    }
+
+    reject(observation) {
+        return this.review(observation, { validated: false, status: 'rejected' });
+    }
+
+    // Correcting the species also approves the observation; the reported name is kept
+    reclassify(observation, species) {
+        return this.review(observation, {
+            species,
+            originalSpecies: observation.originalSpecies || observation.species,
+            validated: true,
+            status: 'approved'
+        });
+    }
+
+    review(observation, changes) {
+        return Object.assign({}, observation, changes, {
+            validatedBy: this.reviewer,
+            validatedAt: new Date()
+        });
+    }
+}
+
+// Queue entries rendered at once; the rest follow as earlier ones are reviewed
+ObservationModerator.PAGE_SIZE = 50;
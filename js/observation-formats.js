@@ -0,0 +1,171 @@
+// BloomWatch - Observation Formats
+// Reads and writes citizen observations as iNaturalist API results and GLOBE Observer land cover GeoJSON
+
+class ObservationFormats {
+    // iNaturalist results carry a taxon or species guess; GLOBE land cover measurements carry landcovers* properties
+    detect(json) {
+        if (json && Array.isArray(json.results) && json.results.some(result => result && (result.taxon || result.species_guess))) {
+            return 'inaturalist';
+        }
+        if (json && json.type === 'FeatureCollection' && Array.isArray(json.features) && json.features.some(feature =>
+            feature && feature.properties && (feature.properties.protocol === 'land_covers' || 'landcoversMeasuredAt' in feature.properties))) {
+            return 'globe';
+        }
+        return null;
+    }
+
+    // Rows keyed by citizen field names, ready for the importer's validation
+    toRows(format, json) {
+        const rows = format === 'inaturalist'
+            ? json.results.map(result => this.fromINaturalist(result))
+            : json.features.map(feature => this.fromGlobe(feature));
+        return { columns: ObservationFormats.COLUMNS.slice(), rows };
+    }
+
+    fromINaturalist(result) {
+        const taxon = result.taxon || {};
+        const position = this.getPosition(result.geojson, result.location);
+        const annotation = (result.annotations || []).find(item =>
+            item.controlled_attribute_id === ObservationFormats.INATURALIST_PHENOLOGY_ATTRIBUTE);
+        const photo = (result.photos || [])[0];
+        // place_guess reads like "Mendocino County, CA, USA"; its last part is the country
+        const place = (result.place_guess || '').split(',').map(part => part.trim()).filter(Boolean);
+
+        return {
+            // iNaturalist ids are numbers; string ids come from BloomWatch's own exports
+            id: typeof result.id === 'number' ? `inat_${result.id}` : result.id || '',
+            lat: position ? position[1] : '',
+            lng: position ? position[0] : '',
+            species: taxon.preferred_common_name || taxon.name || result.species_guess || '',
+            date: result.time_observed_at || result.observed_on || '',
+            observer: result.user ? result.user.login || result.user.name || '' : '',
+            validated: result.quality_grade === 'research',
+            country: place.length ? place[place.length - 1] : '',
+            stage: annotation ? ObservationFormats.INATURALIST_PHENOLOGY[annotation.controlled_value_id] || '' : '',
+            photoUrl: photo ? photo.url || '' : ''
+        };
+    }
+
+    // GLOBE land cover has no species or phenology fields, so both are read from the field notes,
+    // falling back to the land cover class
+    fromGlobe(feature) {
+        const props = feature.properties || {};
+        const position = this.getPosition(feature.geometry, null);
+        const notes = props.landcoversFieldNotes || '';
+        const species = /species:\s*([^.;\n]+)/i.exec(notes);
+
+        return {
+            id: props.landcoversLandCoverId !== undefined ? `globe_${props.landcoversLandCoverId}` : '',
+            lat: position ? position[1] : props.latitude,
+            lng: position ? position[0] : props.longitude,
+            species: species ? species[1].trim() : props.landcoversMucDescription || '',
+            date: props.landcoversMeasuredAt || props.measuredDate || '',
+            observer: props.landcoversUserid !== undefined ? String(props.landcoversUserid) : '',
+            validated: false,
+            country: props.countryName || '',
+            stage: this.stageFromNotes(notes),
+            photoUrl: props.landcoversNorthPhotoUrl || props.landcoversUpwardPhotoUrl || ''
+        };
+    }
+
+    // GeoJSON point first, then iNaturalist's "lat,lng" location string; returns [lng, lat]
+    getPosition(geometry, location) {
+        if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+            return geometry.coordinates;
+        }
+        if (typeof location === 'string' && location.includes(',')) {
+            const [lat, lng] = location.split(',').map(Number);
+            return [lng, lat];
+        }
+        return null;
+    }
+
+    stageFromNotes(notes) {
+        const text = notes.toLowerCase();
+        if (/no (evidence of )?(flowers|flowering)/.test(text)) return 'none';
+        if (/bud/.test(text)) return 'budding';
+        if (/fruit/.test(text)) return 'fruiting';
+        if (/flower|bloom/.test(text)) return 'peak';
+        return '';
+    }
+
+    toJSON(format, observations) {
+        if (format === 'inaturalist') {
+            return JSON.stringify({
+                total_results: observations.length,
+                page: 1,
+                per_page: observations.length,
+                results: observations.map(observation => this.toINaturalist(observation))
+            }, null, 2);
+        }
+        if (format === 'globe') {
+            return JSON.stringify({
+                type: 'FeatureCollection',
+                features: observations.map(observation => this.toGlobe(observation))
+            }, null, 2);
+        }
+        throw new Error(`Unknown observation format: ${format}`);
+    }
+
+    // Only the common name is known, so it goes in species_guess rather than a taxon
+    toINaturalist(observation) {
+        const value = ObservationFormats.INATURALIST_STAGE_VALUES[observation.stage];
+        return {
+            id: observation.id,
+            observed_on: this.toDateString(observation.date),
+            time_observed_at: observation.date.toISOString(),
+            location: `${observation.lat},${observation.lng}`,
+            geojson: { type: 'Point', coordinates: [observation.lng, observation.lat] },
+            species_guess: observation.species,
+            user: { login: observation.observer },
+            quality_grade: observation.validated ? 'research' : 'needs_id',
+            place_guess: observation.country,
+            photos: this.getSharedPhoto(observation) ? [{ url: observation.photoUrl }] : [],
+            annotations: value ? [{
+                controlled_attribute_id: ObservationFormats.INATURALIST_PHENOLOGY_ATTRIBUTE,
+                controlled_value_id: value
+            }] : []
+        };
+    }
+
+    toGlobe(observation) {
+        const stage = observation.stage ? ContributionStore.STAGES[observation.stage] : null;
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [observation.lng, observation.lat] },
+            properties: {
+                protocol: 'land_covers',
+                measuredDate: this.toDateString(observation.date),
+                countryName: observation.country,
+                latitude: observation.lat,
+                longitude: observation.lng,
+                landcoversMeasuredAt: observation.date.toISOString(),
+                landcoversUserid: observation.observer,
+                landcoversFieldNotes: `Species: ${observation.species}.${stage ? ` Phenology: ${stage}.` : ''}`,
+                landcoversNorthPhotoUrl: this.getSharedPhoto(observation) ? observation.photoUrl : null
+            }
+        };
+    }
+
+    // Photos of local contributions are blob URLs that only work in this browser session
+    getSharedPhoto(observation) {
+        return observation.photoUrl && !observation.photoUrl.startsWith('blob:');
+    }
+
+    toDateString(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+ObservationFormats.FORMATS = {
+    inaturalist: { label: 'iNaturalist', extension: 'json', mimeType: 'application/json' },
+    globe: { label: 'GLOBE Observer', extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+ObservationFormats.COLUMNS = ['id', 'lat', 'lng', 'species', 'date', 'observer', 'validated', 'country', 'stage', 'photoUrl'];
+
+// iNaturalist's "Flowers and Fruits" annotation and its values
+ObservationFormats.INATURALIST_PHENOLOGY_ATTRIBUTE = 12;
+ObservationFormats.INATURALIST_PHENOLOGY = { 13: 'peak', 14: 'fruiting', 15: 'budding', 21: 'none' };
+ObservationFormats.INATURALIST_STAGE_VALUES = { budding: 15, early: 13, peak: 13, late: 13, fruiting: 14, none: 21 };
@@ -0,0 +1,158 @@
+// BloomWatch - Phenology Metrics
+// Start, peak and end of season per site from bloom or vegetation-index time series
+
+class PhenologyEngine {
+    constructor(options = {}) {
+        this.binDays = options.binDays || 16; // Same period as the MODIS composites
+        this.threshold = options.threshold || 0.5; // Fraction of the seasonal amplitude
+        this.smoothing = options.smoothing === undefined ? 1 : options.smoothing; // Moving-average half-width in bins
+        this.minObservedBins = options.minObservedBins || 3;
+    }
+
+    // Groups records into sites and computes the metrics of each; sites without a usable profile are skipped
+    computeSites(records, { siteOf, valueOf, method = 'threshold' }) {
+        const sites = {};
+        records.forEach(record => {
+            const key = siteOf(record);
+            if (!sites[key]) sites[key] = [];
+            sites[key].push(record);
+        });
+
+        return Object.keys(sites).map(key => {
+            const members = sites[key];
+            const metrics = this.compute(members.map(record => ({ date: record.date, value: valueOf(record) })), method);
+            if (!metrics) return null;
+            return Object.assign({
+                id: key,
+                lat: members.reduce((sum, record) => sum + record.lat, 0) / members.length,
+                lng: members.reduce((sum, record) => sum + record.lng, 0) / members.length,
+                observations: members.length
+            }, metrics);
+        }).filter(site => site !== null);
+    }
+
+    // series: [{ date, value }] from any number of years, folded onto one composite year
+    compute(series, method = 'threshold') {
+        const profile = this.buildProfile(series);
+        if (!profile) return null;
+
+        // Rotate the profile to start at its minimum so seasons that span the new year stay contiguous
+        const offset = profile.indexOf(Math.min(...profile));
+        const values = profile.slice(offset).concat(profile.slice(0, offset));
+        const peak = values.indexOf(Math.max(...values));
+        const base = values[0];
+        const amplitude = values[peak] - base;
+        if (amplitude <= 0) return null;
+
+        const bounds = method === 'derivative'
+            ? this.derivativeBounds(values, peak)
+            : this.thresholdBounds(values, peak, base + amplitude * this.threshold);
+
+        return {
+            method,
+            sos: this.toDayOfYear(bounds.start + offset),
+            pos: this.toDayOfYear(peak + offset),
+            eos: this.toDayOfYear(bounds.end + offset),
+            los: Math.round((bounds.end - bounds.start) * this.binDays),
+            peakValue: values[peak],
+            baseValue: base,
+            amplitude
+        };
+    }
+
+    // Max-value composite per bin across years, gaps filled by circular linear interpolation, then smoothed
+    buildProfile(series) {
+        const binCount = Math.ceil(365 / this.binDays);
+        const bins = new Array(binCount).fill(null);
+        series.forEach(({ date, value }) => {
+            if (!(date instanceof Date) || isNaN(date.getTime()) || !Number.isFinite(value)) return;
+            const bin = Math.min(Math.floor((PhenologyEngine.dayOfYear(date) - 1) / this.binDays), binCount - 1);
+            bins[bin] = bins[bin] === null ? value : Math.max(bins[bin], value);
+        });
+
+        const observed = bins.map((value, index) => value === null ? null : index).filter(index => index !== null);
+        if (observed.length < this.minObservedBins) return null;
+
+        const filled = bins.map((value, index) => {
+            if (value !== null) return value;
+            const before = observed.filter(i => i < index).pop();
+            const after = observed.find(i => i > index);
+            const previous = before !== undefined ? before : observed[observed.length - 1] - binCount;
+            const next = after !== undefined ? after : observed[0] + binCount;
+            const weight = (index - previous) / (next - previous);
+            return bins[(previous + binCount) % binCount] * (1 - weight) + bins[next % binCount] * weight;
+        });
+
+        return filled.map((value, index) => {
+            let sum = 0;
+            for (let k = -this.smoothing; k <= this.smoothing; k++) {
+                sum += filled[(index + k + binCount) % binCount];
+            }
+            return sum / (2 * this.smoothing + 1);
+        });
+    }
+
+    // Season starts and ends where the curve crosses the threshold level either side of the peak
+    thresholdBounds(values, peak, level) {
+        const curve = values.concat(values[0]);
+        let start = 0;
+        for (let i = peak - 1; i >= 0; i--) {
+            if (curve[i] < level && curve[i + 1] >= level) {
+                start = i + (level - curve[i]) / (curve[i + 1] - curve[i]);
+                break;
+            }
+        }
+
+        let end = curve.length - 1;
+        for (let i = peak; i < curve.length - 1; i++) {
+            if (curve[i] >= level && curve[i + 1] < level) {
+                end = i + (curve[i] - level) / (curve[i] - curve[i + 1]);
+                break;
+            }
+        }
+        return { start, end };
+    }
+
+    // Season starts at the steepest green-up before the peak and ends at the steepest decline after it
+    derivativeBounds(values, peak) {
+        const curve = values.concat(values[0]);
+        const slopes = values.map((value, index) => curve[index + 1] - value);
+        let start = 0;
+        let end = peak;
+        for (let i = 0; i < peak; i++) {
+            if (slopes[i] > slopes[start]) start = i;
+        }
+        for (let i = peak; i < slopes.length; i++) {
+            if (slopes[i] < slopes[end]) end = i;
+        }
+        // Slopes sit between bins
+        return { start: start + 0.5, end: end + 0.5 };
+    }
+
+    // Bin positions refer to bin centres
+    toDayOfYear(position) {
+        const day = Math.round(position * this.binDays + this.binDays / 2) % 365;
+        return day + 1;
+    }
+
+    static dayOfYear(date) {
+        // UTC day numbers avoid daylight-saving offsets
+        const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        return (day - Date.UTC(date.getFullYear(), 0, 1)) / (24 * 60 * 60 * 1000) + 1;
+    }
+
+    static formatDayOfYear(day) {
+        // A non-leap year keeps day numbers aligned with the composite year
+        return new Date(2023, 0, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    // Cyclic colour so late December and early January peaks look alike
+    static colorForDay(day) {
+        return `hsl(${Math.round((day / 365) * 360)}, 75%, 50%)`;
+    }
+
+    // Grid-cell key for records without a named site
+    static gridCell(record, size = 1) {
+        return `Cell ${Math.floor(record.lat / size) * size}°, ${Math.floor(record.lng / size) * size}°`;
+    }
+}
@@ -0,0 +1,272 @@
+// BloomWatch - Clustered Point Layer
+// Canvas point layer keyed by record id that groups nearby points into counted clusters by zoom
+
+class ClusteredPointLayer extends L.Layer {
+    // styleOf(record) gives { radius, fillColor, color, weight, opacity, fillOpacity } for a single point;
+    // a cluster takes the colorOfGroup() of the most common groupOf() among its points;
+    // popupOf(record) builds the popup HTML when the point is clicked
+    constructor(options = {}) {
+        super();
+        this.styleOf = options.styleOf;
+        this.groupOf = options.groupOf || (() => null);
+        this.colorOfGroup = options.colorOfGroup || (() => '#6b7280');
+        this.popupOf = options.popupOf || null;
+        this.clusterRadius = options.clusterRadius || 40; // Grid cell size in pixels
+        this.disableClusteringAtZoom = options.disableClusteringAtZoom || 10;
+        this.opacity = 1;
+        this.points = new Map(); // key -> { record, x, y, style, group }, see getKeys()
+        this.drawn = []; // What the last frame drew, for hit testing
+        this.frame = null;
+        this.canvas = null;
+        this.hovering = false;
+    }
+
+    // Only records that are new or were replaced get re-projected and re-styled;
+    // restyle also refreshes the rest, for styles that depend on more than the record
+    setData(records, restyle = false) {
+        const keys = this.getKeys(records);
+        const seen = new Set(keys);
+        records.forEach((record, index) => {
+            const point = this.points.get(keys[index]);
+            if (point && point.record === record) {
+                if (restyle) this.stylePoint(point);
+                return;
+            }
+            this.points.set(keys[index], this.createPoint(record));
+        });
+        this.points.forEach((point, key) => {
+            if (!seen.has(key)) this.points.delete(key);
+        });
+        this.redraw();
+        return this;
+    }
+
+    // The record id, plus its occurrence number for repeats: imported and contributed ids are not
+    // guaranteed unique, and records sharing an id must not replace each other
+    getKeys(records) {
+        const occurrences = new Map();
+        return records.map(record => {
+            const count = occurrences.get(record.id) || 0;
+            occurrences.set(record.id, count + 1);
+            return count === 0 ? record.id : `${record.id}#${count}`;
+        });
+    }
+
+    // Web Mercator position in [0, 1], so panning and zooming never re-project
+    createPoint(record) {
+        const sin = Math.max(-0.9999, Math.min(0.9999, Math.sin(record.lat * Math.PI / 180)));
+        const point = {
+            record,
+            x: (record.lng + 180) / 360,
+            y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+        };
+        return this.stylePoint(point);
+    }
+
+    stylePoint(point) {
+        point.style = this.styleOf(point.record);
+        point.group = this.groupOf(point.record);
+        return point;
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (this.canvas) this.canvas.style.opacity = opacity;
+        return this;
+    }
+
+    getEvents() {
+        const events = {
+            moveend: this.reset,
+            resize: this.reset,
+            click: this.onClick,
+            mousemove: this.onMouseMove
+        };
+        if (this._map.options.zoomAnimation && L.Browser.any3d) {
+            events.zoomanim = this.animateZoom;
+        }
+        return events;
+    }
+
+    onAdd(map) {
+        if (!this.canvas) {
+            this.canvas = L.DomUtil.create('canvas', 'leaflet-layer point-layer');
+            const animated = map.options.zoomAnimation && L.Browser.any3d;
+            L.DomUtil.addClass(this.canvas, `leaflet-zoom-${animated ? 'animated' : 'hide'}`);
+            // Clicks are hit-tested from map events so layers underneath stay interactive
+            this.canvas.style.pointerEvents = 'none';
+            this.canvas.style.opacity = this.opacity;
+        }
+        this.getPane().appendChild(this.canvas);
+        this.reset();
+    }
+
+    onRemove() {
+        L.DomUtil.remove(this.canvas);
+        if (this.hovering) {
+            this._map.getContainer().style.cursor = '';
+            this.hovering = false;
+        }
+        if (this.frame) {
+            L.Util.cancelAnimFrame(this.frame);
+            this.frame = null;
+        }
+        this.drawn = [];
+    }
+
+    reset() {
+        // The backing store is scaled by the pixel ratio so points stay sharp on HiDPI screens
+        const size = this._map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        L.DomUtil.setPosition(this.canvas, this._map.containerPointToLayerPoint([0, 0]));
+        this.canvas.width = Math.round(size.x * ratio);
+        this.canvas.height = Math.round(size.y * ratio);
+        this.canvas.style.width = `${size.x}px`;
+        this.canvas.style.height = `${size.y}px`;
+        this.draw();
+    }
+
+    animateZoom(e) {
+        const scale = this._map.getZoomScale(e.zoom);
+        const offset = this._map._latLngBoundsToNewLayerBounds(this._map.getBounds(), e.zoom, e.center).min;
+        L.DomUtil.setTransform(this.canvas, offset, scale);
+    }
+
+    redraw() {
+        if (this._map && !this.frame) {
+            this.frame = L.Util.requestAnimFrame(this.draw, this);
+        }
+        return this;
+    }
+
+    draw() {
+        this.frame = null;
+        if (!this._map) return;
+
+        const map = this._map;
+        const size = map.getSize();
+        const scale = 256 * Math.pow(2, map.getZoom());
+        const origin = map.containerPointToLayerPoint([0, 0]).add(map.getPixelOrigin());
+        const margin = this.clusterRadius;
+        const clustering = map.getZoom() < this.disableClusteringAtZoom;
+        const cells = new Map();
+        const singles = [];
+
+        this.points.forEach(point => {
+            const x = point.x * scale - origin.x;
+            const y = point.y * scale - origin.y;
+            if (x < -margin || y < -margin || x > size.x + margin || y > size.y + margin) return;
+            if (!clustering) {
+                singles.push({ point, x, y });
+                return;
+            }
+            const key = `${Math.floor(x / this.clusterRadius)}_${Math.floor(y / this.clusterRadius)}`;
+            let cell = cells.get(key);
+            if (!cell) cells.set(key, cell = { points: [], x: 0, y: 0 });
+            cell.points.push(point);
+            cell.x += x;
+            cell.y += y;
+        });
+
+        const clusters = [];
+        cells.forEach(cell => {
+            if (cell.points.length === 1) {
+                singles.push({ point: cell.points[0], x: cell.x, y: cell.y });
+            } else {
+                clusters.push(cell);
+            }
+        });
+
+        const context = this.canvas.getContext('2d');
+        context.setTransform(this.canvas.width / size.x, 0, 0, this.canvas.height / size.y, 0, 0);
+        context.clearRect(0, 0, size.x, size.y);
+        this.drawn = [];
+        singles.forEach(single => this.drawPoint(context, single));
+        clusters.forEach(cell => this.drawCluster(context, cell));
+    }
+
+    drawPoint(context, { point, x, y }) {
+        const style = point.style;
+        context.beginPath();
+        context.arc(x, y, style.radius, 0, 2 * Math.PI);
+        context.globalAlpha = style.fillOpacity;
+        context.fillStyle = style.fillColor;
+        context.fill();
+        if (style.weight) {
+            context.globalAlpha = style.opacity;
+            context.lineWidth = style.weight;
+            context.strokeStyle = style.color;
+            context.stroke();
+        }
+        context.globalAlpha = 1;
+        this.drawn.push({ x, y, radius: style.radius + (style.weight || 0) / 2, point });
+    }
+
+    drawCluster(context, cell) {
+        const count = cell.points.length;
+        const x = cell.x / count;
+        const y = cell.y / count;
+        const radius = 12 + 4 * Math.log10(count);
+
+        const groups = {};
+        cell.points.forEach(point => {
+            groups[point.group] = (groups[point.group] || 0) + 1;
+        });
+        const dominant = Object.keys(groups).sort((a, b) => groups[b] - groups[a])[0];
+
+        context.beginPath();
+        context.arc(x, y, radius, 0, 2 * Math.PI);
+        context.globalAlpha = 0.85;
+        context.fillStyle = this.colorOfGroup(dominant);
+        context.fill();
+        context.globalAlpha = 1;
+        context.lineWidth = 3;
+        context.strokeStyle = '#fff';
+        context.stroke();
+
+        context.fillStyle = '#1f2937';
+        context.font = '600 11px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count), x, y);
+
+        this.drawn.push({ x, y, radius, points: cell.points });
+    }
+
+    // Topmost item drawn under a container point; clusters are drawn last, so they win
+    hitTest(containerPoint) {
+        for (let i = this.drawn.length - 1; i >= 0; i--) {
+            const item = this.drawn[i];
+            const dx = containerPoint.x - item.x;
+            const dy = containerPoint.y - item.y;
+            if (dx * dx + dy * dy <= item.radius * item.radius) return item;
+        }
+        return null;
+    }
+
+    onClick(e) {
+        const item = this.hitTest(e.containerPoint);
+        if (!item) return;
+
+        if (item.points) {
+            // Zoom to the cluster's points, far enough that they separate
+            const bounds = L.latLngBounds(item.points.map(point => [point.record.lat, point.record.lng]));
+            this._map.fitBounds(bounds.pad(0.2), { maxZoom: this.disableClusteringAtZoom });
+        } else if (this.popupOf) {
+            const record = item.point.record;
+            L.popup()
+                .setLatLng([record.lat, record.lng])
+                .setContent(this.popupOf(record))
+                .openOn(this._map);
+        }
+    }
+
+    // Only changes the cursor when this layer's hover state changes, so layers do not undo each other
+    onMouseMove(e) {
+        const hovering = Boolean(this.hitTest(e.containerPoint));
+        if (hovering !== this.hovering) {
+            this.hovering = hovering;
+            this._map.getContainer().style.cursor = hovering ? 'pointer' : '';
+        }
+    }
+}
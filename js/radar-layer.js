@@ -0,0 +1,60 @@
+// BloomWatch - Radar Layer
+// SAR backscatter or radar vegetation index from a tile service or local GeoTIFF files
+
+class RadarLayer extends RasterLayer {
+    constructor(options = {}) {
+        super(Object.assign({ storageKey: 'bloomwatch.radarTileUrl', attribution: 'Radar tiles' }, options));
+        this.product = 'backscatter';
+    }
+
+    prepare(raster) {
+        return { linear: this.isLinearPower(raster.bands[0], raster.noData) };
+    }
+
+    setProduct(product) {
+        this.product = product;
+        this.redraw();
+    }
+
+    colorOf(values, entry) {
+        const value = this.valueOf(values, entry.linear);
+        return value === null ? null : RasterOverlay.ramp(RadarLayer.PRODUCTS[this.product].stops, value);
+    }
+
+    // Backscatter reads the first band; the vegetation index uses VV and VH bands when both are present
+    valueOf(values, linear) {
+        const toDb = value => linear ? 10 * Math.log10(value) : value;
+        if (this.product === 'backscatter') {
+            return values[0] > 0 || !linear ? toDb(values[0]) : null;
+        }
+        if (values.length < 2) return values[0];
+        const vv = linear ? values[0] : Math.pow(10, values[0] / 10);
+        const vh = linear ? values[1] : Math.pow(10, values[1] / 10);
+        return vv + vh > 0 ? (4 * vh) / (vv + vh) : null;
+    }
+
+    // Calibrated sigma0 in linear power stays between 0 and about 1; in dB it is mostly negative
+    isLinearPower(band, noData) {
+        let max = -Infinity;
+        for (let i = 0; i < band.length; i++) {
+            const value = band[i];
+            if (!Number.isFinite(value) || value === noData) continue;
+            if (value < 0) return false;
+            if (value > max) max = value;
+        }
+        return max <= 2;
+    }
+}
+
+RadarLayer.PRODUCTS = {
+    backscatter: {
+        label: 'SAR Backscatter',
+        unit: 'dB',
+        stops: [[-25, [0, 0, 0]], [0, [255, 255, 255]]]
+    },
+    rvi: {
+        label: 'Radar Vegetation Index',
+        unit: '',
+        stops: [[0, [166, 97, 26]], [0.5, [223, 194, 125]], [1, [26, 150, 65]]]
+    }
+};
@@ -0,0 +1,113 @@
+// BloomWatch - Raster Layers
+// Shared handling of tile services and local or remote GeoTIFFs for the map's raster layers
+
+class RasterLayer {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey;
+        this.layer = L.layerGroup();
+        this.rasters = new RasterOverlay(options.raster);
+        this.opacity = options.opacity || 0.7;
+        this.attribution = options.attribution || '';
+        this.tileLayer = null;
+        this.files = []; // { raster, overlay } plus whatever prepare() adds
+        this.setTileUrl(this.loadTileUrl());
+    }
+
+    // Subclasses return [r, g, b] or null for the band values of one pixel
+    colorOf(values, entry) {
+        throw new Error('Raster layers must implement colorOf()');
+    }
+
+    // Per-file settings worked out once after reading, e.g. the units of the values
+    prepare(raster) {
+        return {};
+    }
+
+    loadTileUrl() {
+        try {
+            return localStorage.getItem(this.storageKey) || '';
+        } catch (error) {
+            console.warn('Could not read the raster tile URL', error);
+            return '';
+        }
+    }
+
+    // url is an XYZ template such as https://example.org/tiles/{z}/{x}/{y}.png; empty removes the tiles
+    setTileUrl(url) {
+        this.tileUrl = (url || '').trim();
+        if (this.tileLayer) {
+            this.layer.removeLayer(this.tileLayer);
+            this.tileLayer = null;
+        }
+        if (this.tileUrl) {
+            this.tileLayer = L.tileLayer(this.tileUrl, { opacity: this.opacity, attribution: this.attribution });
+            this.layer.addLayer(this.tileLayer);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, this.tileUrl);
+        } catch (error) {
+            console.warn('Could not save the raster tile URL', error);
+        }
+    }
+
+    // sources are Files or COG URLs; returns the combined bounds of those loaded
+    async loadFiles(sources) {
+        const loaded = [];
+        for (const source of Array.from(sources)) {
+            const raster = await this.rasters.read(source);
+            const entry = Object.assign({ raster, overlay: null }, this.prepare(raster));
+            this.files.push(entry);
+            this.drawFile(entry);
+            loaded.push(entry);
+        }
+        return loaded.length ? L.latLngBounds(loaded.map(entry => entry.raster.bounds).flat()) : null;
+    }
+
+    clearFiles() {
+        this.files.forEach(entry => this.layer.removeLayer(entry.overlay));
+        this.files = [];
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (this.tileLayer) this.tileLayer.setOpacity(opacity);
+        this.files.forEach(entry => entry.overlay.setOpacity(opacity));
+    }
+
+    hasSources() {
+        return Boolean(this.tileLayer) || this.files.length > 0;
+    }
+
+    redraw() {
+        this.files.forEach(entry => this.drawFile(entry));
+    }
+
+    drawFile(entry) {
+        if (entry.overlay) this.layer.removeLayer(entry.overlay);
+        const image = this.rasters.toImage(entry.raster, values => this.colorOf(values, entry));
+        entry.overlay = L.imageOverlay(image, entry.raster.bounds, { opacity: this.opacity, interactive: false });
+        this.layer.addLayer(entry.overlay);
+    }
+
+    // Band values and file under latlng, topmost file first; tiles carry colours only
+    sampleAt(latlng) {
+        for (let i = this.files.length - 1; i >= 0; i--) {
+            const values = RasterOverlay.valueAt(this.files[i].raster, latlng);
+            if (values) return { values, entry: this.files[i] };
+        }
+        return null;
+    }
+
+    // Legend line describing what the layer is showing
+    describeSources(escape) {
+        const sources = [];
+        if (this.tileUrl) {
+            sources.push('tile service (colours set by the server)');
+        }
+        if (this.files.length) {
+            sources.push(this.files.map(entry => escape(entry.raster.name)).join(', '));
+        }
+        return sources.length ? `Showing ${sources.join('; ')}` : null;
+    }
+}
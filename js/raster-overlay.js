@@ -0,0 +1,120 @@
+// BloomWatch - Raster Overlays
+// Reads georeferenced GeoTIFF or COG rasters and draws them on the map as colour-mapped images
+
+class RasterOverlay {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 1024; // Longest side in pixels after resampling
+    }
+
+    // source is a File or the URL of a cloud-optimised GeoTIFF.
+    // Returns { name, width, height, bands: [TypedArray], bounds: [[south, west], [north, east]], noData }
+    async read(source) {
+        if (typeof GeoTIFF === 'undefined') {
+            throw new Error('GeoTIFF support is not available');
+        }
+        const isUrl = typeof source === 'string';
+        const tiff = isUrl ? await GeoTIFF.fromUrl(source) : await GeoTIFF.fromArrayBuffer(await source.arrayBuffer());
+        const image = await tiff.getImage();
+
+        // Large scenes are resampled so the overlay stays light enough to redraw;
+        // reading through the file picks the closest COG overview instead of the full image
+        const scale = Math.min(1, this.maxSize / Math.max(image.getWidth(), image.getHeight()));
+        const width = Math.max(1, Math.round(image.getWidth() * scale));
+        const height = Math.max(1, Math.round(image.getHeight() * scale));
+        const bands = await tiff.readRasters({ width, height, resampleMethod: 'nearest' });
+
+        return {
+            name: isUrl ? source.split('/').pop().split('?')[0] : source.name,
+            width,
+            height,
+            bands: Array.from(bands),
+            bounds: this.getBounds(image),
+            noData: image.getGDALNoData()
+        };
+    }
+
+    // Geographic (EPSG:4326) and Web Mercator (EPSG:3857) rasters can be placed without reprojecting
+    getBounds(image) {
+        const [minX, minY, maxX, maxY] = image.getBoundingBox();
+        const keys = image.getGeoKeys() || {};
+        const projection = keys.ProjectedCSTypeGeoKey;
+
+        if (projection === 3857 || projection === 900913) {
+            const southWest = L.CRS.EPSG3857.unproject(L.point(minX, minY));
+            const northEast = L.CRS.EPSG3857.unproject(L.point(maxX, maxY));
+            return [[southWest.lat, southWest.lng], [northEast.lat, northEast.lng]];
+        }
+        if (projection) {
+            throw new Error(`EPSG:${projection} is not supported, reproject the file to EPSG:4326 or EPSG:3857`);
+        }
+        return [[minY, minX], [maxY, maxX]];
+    }
+
+    // colorOf receives one value per band and returns [r, g, b], or null for a transparent pixel
+    toImage(raster, colorOf) {
+        const canvas = document.createElement('canvas');
+        canvas.width = raster.width;
+        canvas.height = raster.height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(raster.width, raster.height);
+        const values = new Array(raster.bands.length);
+
+        for (let i = 0; i < raster.width * raster.height; i++) {
+            let valid = true;
+            for (let band = 0; band < raster.bands.length; band++) {
+                values[band] = raster.bands[band][i];
+                if (!Number.isFinite(values[band]) || values[band] === raster.noData) valid = false;
+            }
+            const color = valid ? colorOf(values) : null;
+            if (!color) continue;
+            image.data[i * 4] = color[0];
+            image.data[i * 4 + 1] = color[1];
+            image.data[i * 4 + 2] = color[2];
+            image.data[i * 4 + 3] = 255;
+        }
+
+        context.putImageData(image, 0, 0);
+        return canvas.toDataURL();
+    }
+
+    // Band values of the pixel drawn at latlng, or null outside the raster. Image overlays are
+    // stretched in Web Mercator, so the lookup is too and matches what is on screen.
+    static valueAt(raster, latlng) {
+        const [[south, west], [north, east]] = raster.bounds;
+        if (latlng.lat < south || latlng.lat > north || latlng.lng < west || latlng.lng > east) return null;
+
+        const crs = L.CRS.EPSG3857;
+        const topLeft = crs.project(L.latLng(north, west));
+        const bottomRight = crs.project(L.latLng(south, east));
+        const point = crs.project(latlng);
+        const col = Math.min(raster.width - 1, Math.floor(((point.x - topLeft.x) / (bottomRight.x - topLeft.x)) * raster.width));
+        const row = Math.min(raster.height - 1, Math.floor(((topLeft.y - point.y) / (topLeft.y - bottomRight.y)) * raster.height));
+        const index = row * raster.width + col;
+
+        const values = raster.bands.map(band => band[index]);
+        return values.some(value => !Number.isFinite(value) || value === raster.noData) ? null : values;
+    }
+
+    // Linear interpolation through [[value, [r, g, b]], ...] stops in ascending order
+    static ramp(stops, value) {
+        if (value <= stops[0][0]) return stops[0][1];
+        for (let i = 1; i < stops.length; i++) {
+            if (value <= stops[i][0]) {
+                const [low, from] = stops[i - 1];
+                const [high, to] = stops[i];
+                const t = (value - low) / (high - low);
+                return from.map((channel, index) => Math.round(channel + (to[index] - channel) * t));
+            }
+        }
+        return stops[stops.length - 1][1];
+    }
+
+    // CSS gradient for the legend
+    static gradient(stops) {
+        const min = stops[0][0];
+        const span = stops[stops.length - 1][0] - min;
+        return `linear-gradient(to right, ${
+            stops.map(([value, color]) => `rgb(${color.join(', ')}) ${Math.round(((value - min) / span) * 100)}%`).join(', ')
+        })`;
+    }
+}
@@ -0,0 +1,81 @@
+// BloomWatch - Region Filtering
+// Point-in-polygon tests against the bundled region boundaries
+
+class RegionBoundaries {
+    constructor(collection = REGION_BOUNDARIES) {
+        this.regions = {};
+        collection.features.forEach(feature => {
+            this.add(feature.id, feature.properties.name, feature.geometry);
+        });
+    }
+
+    add(id, name, geometry) {
+        const polygons = this.toPolygons(geometry);
+        this.regions[id] = { id, name, geometry, polygons, bounds: this.computeBounds(polygons) };
+        return this.regions[id];
+    }
+
+    remove(id) {
+        delete this.regions[id];
+    }
+
+    has(id) {
+        return id in this.regions;
+    }
+
+    getName(id) {
+        return this.has(id) ? this.regions[id].name : id;
+    }
+
+    // Leaflet-style [[south, west], [north, east]]
+    getBounds(id) {
+        return this.has(id) ? this.regions[id].bounds : null;
+    }
+
+    // Points outside every boundary are excluded; 'global' and unknown ids match everything
+    contains(id, lat, lng) {
+        const region = this.regions[id];
+        if (!region) return true;
+
+        const [[south, west], [north, east]] = region.bounds;
+        if (lat < south || lat > north || lng < west || lng > east) return false;
+
+        return region.polygons.some(rings =>
+            this.pointInRing(lng, lat, rings[0]) &&
+            !rings.slice(1).some(hole => this.pointInRing(lng, lat, hole))
+        );
+    }
+
+    // Normalizes Polygon and MultiPolygon geometries into a list of polygons (lists of rings)
+    toPolygons(geometry) {
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        throw new Error(`Unsupported boundary geometry: ${geometry.type}`);
+    }
+
+    computeBounds(polygons) {
+        let south = 90, west = 180, north = -90, east = -180;
+        polygons.forEach(rings => {
+            rings[0].forEach(([lng, lat]) => {
+                south = Math.min(south, lat);
+                north = Math.max(north, lat);
+                west = Math.min(west, lng);
+                east = Math.max(east, lng);
+            });
+        });
+        return [[south, west], [north, east]];
+    }
+
+    // Ray casting: count edge crossings of a ray heading east from the point
+    pointInRing(x, y, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
@@ -0,0 +1,80 @@
+// BloomWatch - Species Catalogue
+// Looks species up by any of their names and compares their observed bloom calendar with the expected flowering months
+
+class SpeciesCatalogue {
+    constructor(collection = SPECIES_CATALOGUE) {
+        this.species = {};
+        this.names = new Map(); // Lower-cased display, scientific and common names to ids
+        // Native ranges reuse the region point-in-polygon tests
+        this.ranges = new RegionBoundaries({ type: 'FeatureCollection', features: [] });
+        collection.features.forEach(feature => {
+            const entry = Object.assign({ id: feature.id }, feature.properties);
+            this.species[feature.id] = entry;
+            this.ranges.add(feature.id, entry.name, feature.geometry);
+            [entry.name, entry.scientificName].concat(entry.commonNames).forEach(name => {
+                if (!this.names.has(name.toLowerCase())) this.names.set(name.toLowerCase(), feature.id);
+            });
+        });
+    }
+
+    // Null for names outside the catalogue, such as imported or contributed species
+    find(name) {
+        const id = this.names.get(String(name || '').trim().toLowerCase());
+        return id ? this.species[id] : null;
+    }
+
+    // Months 1-12 for the hemisphere of lat
+    getFloweringMonths(entry, lat) {
+        return lat < 0 ? entry.flowering.south : entry.flowering.north;
+    }
+
+    isNative(entry, lat, lng) {
+        return this.ranges.contains(entry.id, lat, lng);
+    }
+
+    getRange(entry) {
+        return this.ranges.regions[entry.id];
+    }
+
+    // Records per month (0-11), split by hemisphere
+    getCalendar(records) {
+        const calendar = { north: new Array(12).fill(0), south: new Array(12).fill(0) };
+        records.forEach(record => {
+            calendar[record.lat < 0 ? 'south' : 'north'][record.date.getMonth()]++;
+        });
+        return calendar;
+    }
+
+    // Records and mean bloom date of `year` against the years before it. Only the hemisphere with
+    // most records is used, since the two flower half a year apart.
+    compareYears(records, year) {
+        const calendar = this.getCalendar(records);
+        const total = months => months.reduce((sum, count) => sum + count, 0);
+        const hemisphere = total(calendar.north) >= total(calendar.south) ? 'north' : 'south';
+
+        const detector = new BloomAnomalyDetector({ minYears: 1, minRecords: 1 });
+        const baseline = detector.buildBaseline(
+            records.filter(record => (record.lat < 0) === (hemisphere === 'south') && record.date.getFullYear() <= year),
+            { groupsOf: () => ['all'], valueOf: () => 1 }
+        );
+        const sums = baseline.groups.all || {};
+        const years = Object.keys(sums).map(Number).sort((a, b) => a - b).map(key => ({
+            year: key,
+            count: sums[key].count,
+            meanDay: detector.toDay(Math.atan2(sums[key].sin, sums[key].cos))
+        }));
+
+        const current = years.find(entry => entry.year === year) || null;
+        const prior = detector.getClimatology(baseline, 'all', year);
+        return {
+            hemisphere,
+            years,
+            current,
+            prior: prior ? { years: prior.years, count: prior.count / prior.years, meanDay: prior.meanDay } : null,
+            // Signed difference on the yearly circle: negative is early, positive is late
+            daysFromPrior: current && prior ? ((current.meanDay - prior.meanDay + 365 + 182.5) % 365) - 182.5 : null
+        };
+    }
+}
+
+SpeciesCatalogue.MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -0,0 +1,159 @@
+// BloomWatch - Temporal Index
+// Sorted date index over records plus time buckets (day, week, month, season) for the timeline
+
+class TemporalIndex {
+    constructor() {
+        // Sorted entries are cached per record array and rebuilt when its length changes
+        this.cache = new WeakMap();
+    }
+
+    // Returns the records whose date falls in [start, end)
+    query(records, dateKey, start, end) {
+        const entries = this.getEntries(records, dateKey);
+        const from = this.lowerBound(entries, start.getTime());
+        const to = this.lowerBound(entries, end.getTime());
+        return entries.slice(from, to).map(entry => entry.record);
+    }
+
+    getEntries(records, dateKey) {
+        let byKey = this.cache.get(records);
+        if (!byKey) {
+            byKey = {};
+            this.cache.set(records, byKey);
+        }
+
+        const cached = byKey[dateKey];
+        if (cached && cached.length === records.length) {
+            return cached.entries;
+        }
+
+        const entries = records
+            .filter(record => record[dateKey] instanceof Date && !isNaN(record[dateKey].getTime()))
+            .map(record => ({ time: record[dateKey].getTime(), record }))
+            .sort((a, b) => a.time - b.time);
+        byKey[dateKey] = { length: records.length, entries };
+        return entries;
+    }
+
+    lowerBound(entries, time) {
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (entries[mid].time < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    // Earliest and latest date across several { records, dateKey } collections
+    getExtent(collections) {
+        let min = Infinity;
+        let max = -Infinity;
+        collections.forEach(({ records, dateKey }) => {
+            const entries = this.getEntries(records, dateKey);
+            if (entries.length > 0) {
+                min = Math.min(min, entries[0].time);
+                max = Math.max(max, entries[entries.length - 1].time);
+            }
+        });
+        return min === Infinity ? null : { start: new Date(min), end: new Date(max) };
+    }
+
+    // Start and end of a Time Range preset, given the extent of the loaded data (or null)
+    getRangeExtent(range, extent, now = new Date()) {
+        if (!range.years) return extent;
+        const latest = extent ? extent.end : now;
+        const end = new Date(latest.getFullYear() - range.yearsBefore, latest.getMonth() + 1, 1);
+        const start = new Date(end.getFullYear() - range.years, end.getMonth(), 1);
+        // A bucket starting exactly at `end` would be included, so stop just before it
+        return { start, end: new Date(end.getTime() - 1) };
+    }
+
+    // Consecutive buckets covering [start, end] at the given granularity
+    buildBuckets(start, end, granularity) {
+        const buckets = [];
+        let bucketStart = TemporalIndex.floor(start, granularity);
+        while (bucketStart <= end) {
+            const bucketEnd = TemporalIndex.next(bucketStart, granularity);
+            buckets.push({
+                index: buckets.length,
+                start: bucketStart,
+                end: bucketEnd,
+                label: TemporalIndex.label(bucketStart, granularity)
+            });
+            bucketStart = bucketEnd;
+        }
+        return buckets;
+    }
+
+    static floor(date, granularity) {
+        const year = date.getFullYear();
+        const month = date.getMonth();
+        switch (granularity) {
+            case 'day':
+                return new Date(year, month, date.getDate());
+            case 'week': {
+                // Weeks start on Monday
+                const offset = (date.getDay() + 6) % 7;
+                return new Date(year, month, date.getDate() - offset);
+            }
+            case 'season':
+                // Meteorological seasons start in December, March, June and September
+                return new Date(year, month - ((month + 1) % 3), 1);
+            case 'month':
+            default:
+                return new Date(year, month, 1);
+        }
+    }
+
+    static next(date, granularity) {
+        const year = date.getFullYear();
+        const month = date.getMonth();
+        switch (granularity) {
+            case 'day':
+                return new Date(year, month, date.getDate() + 1);
+            case 'week':
+                return new Date(year, month, date.getDate() + 7);
+            case 'season':
+                return new Date(year, month + 3, 1);
+            case 'month':
+            default:
+                return new Date(year, month + 1, 1);
+        }
+    }
+
+    static label(date, granularity) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const year = date.getFullYear();
+        const month = months[date.getMonth()];
+        switch (granularity) {
+            case 'day':
+                return `${month} ${date.getDate()}, ${year}`;
+            case 'week':
+                return `Week of ${month} ${date.getDate()}, ${year}`;
+            case 'season': {
+                // Northern Hemisphere season names, matching the Seasonal Analysis labels
+                const seasons = { 11: 'Winter', 2: 'Spring', 5: 'Summer', 8: 'Fall' };
+                const name = seasons[date.getMonth()];
+                return name === 'Winter' ? `Winter ${year}-${String((year + 1) % 100).padStart(2, '0')}` : `${name} ${year}`;
+            }
+            case 'month':
+            default:
+                return `${month} ${year}`;
+        }
+    }
+}
+
+// Time Range presets: spans of whole months ending `yearsBefore` years ahead of the latest record (or today
+// when nothing is loaded); the others cover the loaded data
+TemporalIndex.RANGES = {
+    'recent': { years: 2, yearsBefore: 0, granularity: 'month' },
+    'historical': { years: 5, yearsBefore: 2, granularity: 'month' },
+    'seasonal': { granularity: 'season' },
+    'monthly': { granularity: 'month' }
+};
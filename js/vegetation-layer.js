@@ -0,0 +1,69 @@
+// BloomWatch - Vegetation Index Layer
+// NDVI, EVI or Anthocyanin Reflectance Index rasters drawn through a selectable colour ramp
+
+class VegetationIndexLayer extends RasterLayer {
+    constructor(options = {}) {
+        super(Object.assign({ storageKey: 'bloomwatch.vegetationTileUrl', attribution: 'Vegetation index tiles' }, options));
+        this.index = 'ndvi';
+        this.ramp = 'rdylgn';
+        this.stops = this.getStops();
+    }
+
+    // Integer products such as MOD13Q1 store NDVI and EVI multiplied by 10000
+    prepare(raster) {
+        const band = raster.bands[0];
+        let max = 0;
+        for (let i = 0; i < band.length; i++) {
+            if (Number.isFinite(band[i]) && band[i] !== raster.noData) max = Math.max(max, Math.abs(band[i]));
+        }
+        return { scale: max > 2 ? 0.0001 : 1 };
+    }
+
+    setIndex(index) {
+        this.index = index;
+        this.stops = this.getStops();
+        this.redraw();
+    }
+
+    setRamp(ramp) {
+        this.ramp = ramp;
+        this.stops = this.getStops();
+        this.redraw();
+    }
+
+    // Ramp stops placed across the index's display range
+    getStops() {
+        const [min, max] = VegetationIndexLayer.INDICES[this.index].range;
+        const colors = VegetationIndexLayer.RAMPS[this.ramp].colors;
+        return colors.map((color, i) => [min + (max - min) * (i / (colors.length - 1)), color]);
+    }
+
+    valueOf(values, entry) {
+        return values[0] * entry.scale;
+    }
+
+    colorOf(values, entry) {
+        return RasterOverlay.ramp(this.stops, this.valueOf(values, entry));
+    }
+
+    // Index value under latlng for the hover readout, or null
+    readout(latlng) {
+        const sample = this.sampleAt(latlng);
+        return sample ? this.valueOf(sample.values, sample.entry) : null;
+    }
+}
+
+VegetationIndexLayer.INDICES = {
+    ndvi: { label: 'NDVI', range: [-0.2, 1] },
+    evi: { label: 'EVI', range: [-0.2, 1] },
+    // Same saturation the Sentinel-2 adapter uses for full bloom
+    ari: { label: 'Anthocyanin Reflectance Index', range: [0, 0.1] }
+};
+
+VegetationIndexLayer.RAMPS = {
+    rdylgn: { label: 'Red-Yellow-Green', colors: [[165, 0, 38], [244, 109, 67], [254, 224, 139], [166, 217, 106], [0, 104, 55]] },
+    viridis: { label: 'Viridis', colors: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]] },
+    greens: { label: 'Greens', colors: [[247, 252, 245], [199, 233, 192], [116, 196, 118], [35, 139, 69], [0, 68, 27]] },
+    // Pale to magenta, for flower pigments
+    bloom: { label: 'Bloom Pink', colors: [[255, 247, 243], [252, 197, 192], [247, 104, 161], [174, 1, 126], [73, 0, 106]] }
+};
@@ -8,6 +8,12 @@ class BloomWatch {
         this.citizenLayer = null;
         this.climateLayer = null;
         this.agriculturalLayer = null;
+        this.phenologyLayer = null;
+        this.anomalyLayer = null;
+        this.mlLayer = null;
+        this.predictionLayer = null;
+        this.bloomHeatLayer = null;
+        this.bloomDisplay = 'markers';
         this.currentTimeIndex = 0;
         this.timeData = [];
         this.isPlaying = false;
@@ -17,7 +23,49 @@ class BloomWatch {
         this.climateData = [];
         this.agriculturalData = [];
         this.selectedRegion = 'global';
-        this.currentYear = 2024;
+        this.timeRange = 'recent';
+        this.timeGranularity = 'month';
+        this.temporalIndex = new TemporalIndex();
+        this.phenology = new PhenologyEngine();
+        this.phenologyMethod = 'threshold';
+        this.phenologyGrouping = 'site';
+        this.anomalyDetector = new BloomAnomalyDetector();
+        this.anomalyBaseline = null;
+        this.climateCorrelation = new ClimateCorrelation();
+        this.climateJoin = null;
+        this.climateSummaries = new WeakMap(); // Station -> its summary for the last time window
+        this.cropModel = new CropModel();
+        this.yieldPredictions = null;
+        this.biodiversity = new BiodiversityMetrics();
+        this.speciesCatalogue = new SpeciesCatalogue();
+        this.speciesProfile = null; // Name of the species whose profile is open
+        this.mlModel = 'none';
+        this.bloomModels = new BloomModels();
+        this.mlResult = null;
+        this.mlTraining = null;
+        this.forecaster = new BloomForecaster();
+        // Single source of truth for what the map, counts and indicators include
+        this.filters = {
+            type: 'all',
+            intensity: { min: 'low', max: 'extreme' },
+            confidence: 0.8,
+            region: 'global',
+            timeIndex: null // null shows the whole time range until the timeline is used
+        };
+        this.dataSource = 'modis';
+        this.dataSources = new DataSourceRegistry(this);
+        this.dataSourceRequest = 0; // Only the latest source load is applied
+        this.regionBoundaries = new RegionBoundaries();
+        this.areasOfInterest = new AreaOfInterestManager(this);
+        this.isDrawing = false;
+        this.dataImporter = new DataImporter(this);
+        this.dataExporter = new DataExporter(this);
+        this.contributions = new ContributionStore();
+        this.moderator = new ObservationModerator();
+        this.pickingLocation = false;
+        // Records currently drawn in each layer, kept in sync by the render functions
+        this.visibleData = { bloom: [], citizen: [], climate: [], agricultural: [] };
+        this.pendingImport = null;
         
         this.init();
     }
@@ -26,8 +74,10 @@ class BloomWatch {
         this.initializeMap();
         this.setupEventListeners();
         this.loadSampleData();
+        this.loadContributions();
         this.updateStatistics();
         this.setupTimeAnimation();
+        this.updateDataSource(document.getElementById('dataSource').value);
     }
 
     initializeMap() {
@@ -45,21 +95,106 @@ class BloomWatch {
         });
 
         // Initialize data layers
-        this.bloomLayer = L.layerGroup().addTo(this.map);
-        this.citizenLayer = L.layerGroup().addTo(this.map);
-        this.climateLayer = L.layerGroup().addTo(this.map);
-        this.agriculturalLayer = L.layerGroup().addTo(this.map);
+        // Record layers draw on canvas and cluster by zoom; popups are built when clicked
+        this.bloomLayer = new ClusteredPointLayer({
+            styleOf: bloom => ({
+                radius: this.getBloomSize(bloom.area), fillColor: this.getBloomColor(bloom.intensity),
+                color: '#fff', weight: 2, opacity: 0.8, fillOpacity: 0.7
+            }),
+            groupOf: bloom => bloom.intensity,
+            colorOfGroup: intensity => this.getBloomColor(intensity),
+            popupOf: bloom => this.getBloomPopup(bloom)
+        }).addTo(this.map);
+        // Heatmap alternative to the bloom markers, see setBloomDisplay
+        this.bloomHeatLayer = L.heatLayer([], { radius: 25, blur: 20, maxZoom: 12 });
+        this.citizenLayer = new ClusteredPointLayer({
+            styleOf: observation => ({
+                radius: 6, fillColor: this.getCitizenColor(observation),
+                color: '#fff', weight: 2, opacity: 0.8, fillOpacity: 0.7
+            }),
+            groupOf: observation => this.getCitizenColor(observation),
+            colorOfGroup: color => color,
+            popupOf: observation => this.getCitizenPopup(observation)
+        }).addTo(this.map);
+        this.climateLayer = new ClusteredPointLayer({
+            styleOf: climate => ({
+                radius: 8, fillColor: this.getClimateColor(climate.temperature),
+                color: '#fff', weight: 2, opacity: 0.6, fillOpacity: 0.5
+            }),
+            groupOf: climate => this.getClimateColor(climate.temperature),
+            colorOfGroup: color => color,
+            popupOf: climate => this.getClimatePopup(climate)
+        }).addTo(this.map);
+        // The border shows the crop stage in the current time window
+        this.agriculturalLayer = new ClusteredPointLayer({
+            styleOf: field => {
+                const timeWindow = this.getTimeWindow();
+                const stage = timeWindow ? this.getFieldStage(field, timeWindow) : null;
+                return {
+                    radius: 10, fillColor: this.getCropColor(field.crop),
+                    color: stage ? this.getStageColor(stage) : '#fff', weight: 2, opacity: 0.7, fillOpacity: 0.6
+                };
+            },
+            groupOf: field => field.crop,
+            colorOfGroup: crop => this.getCropColor(crop),
+            popupOf: field => this.getAgriculturalPopup(field)
+        }).addTo(this.map);
+        this.regionOutlineLayer = L.layerGroup().addTo(this.map);
+        this.speciesRangeLayer = L.layerGroup().addTo(this.map);
+        this.mlLayer = L.layerGroup().addTo(this.map);
+        // Shown on demand from the Phenology controls
+        this.phenologyLayer = L.layerGroup();
+        this.anomalyLayer = L.layerGroup();
+        this.predictionLayer = L.layerGroup();
+        this.radar = new RadarLayer();
+        this.vegetation = new VegetationIndexLayer();
+        this.climateSurface = new ClimateSurfaceLayer();
 
         // Add coordinate display
         this.map.on('mousemove', (e) => {
             const coords = e.latlng;
             document.getElementById('coordinates').textContent = 
                 `Lat: ${coords.lat.toFixed(4)}°, Lng: ${coords.lng.toFixed(4)}°`;
+            this.updatePixelReadout(coords);
+        });
+
+        // Heatmap radii are in pixels, so they follow the zoom to keep the bandwidth in km
+        this.map.on('zoomend', () => {
+            this.updateHeatRadius();
+            if (this.mlModel === 'density-estimation') {
+                this.renderMLLayer();
+            }
         });
 
         // Add click handler for bloom information
         this.map.on('click', (e) => {
-            this.showBloomInfo(e.latlng);
+            if (this.pickingLocation) {
+                this.setContributionLocation(e.latlng);
+            } else if (!this.isDrawing) {
+                this.showBloomInfo(e.latlng);
+            }
+        });
+
+        // Add drawing tools for custom areas of interest
+        this.map.addControl(new L.Control.Draw({
+            position: 'topleft',
+            draw: {
+                polygon: { allowIntersection: false, showArea: true },
+                rectangle: true,
+                polyline: false,
+                circle: false,
+                circlemarker: false,
+                marker: false
+            }
+        }));
+        this.map.on(L.Draw.Event.DRAWSTART, () => {
+            this.isDrawing = true;
+        });
+        this.map.on(L.Draw.Event.DRAWSTOP, () => {
+            this.isDrawing = false;
+        });
+        this.map.on(L.Draw.Event.CREATED, (e) => {
+            this.saveAreaOfInterest(e.layer.toGeoJSON().geometry);
         });
 
         // Add region selection controls
@@ -77,9 +212,13 @@ class BloomWatch {
             this.updateBloomType(e.target.value);
         });
 
-        // Bloom intensity selection
+        // Bloom intensity range selection
         document.getElementById('bloomIntensity').addEventListener('change', (e) => {
-            this.updateBloomIntensity(e.target.value);
+            this.updateBloomIntensity(e.target.value, this.filters.intensity.max, 'max');
+        });
+
+        document.getElementById('bloomIntensityMax').addEventListener('change', (e) => {
+            this.updateBloomIntensity(this.filters.intensity.min, e.target.value, 'min');
         });
 
         // Time range selection
@@ -87,6 +226,11 @@ class BloomWatch {
             this.updateTimeRange(e.target.value);
         });
 
+        // Time granularity selection
+        document.getElementById('timeGranularity').addEventListener('change', (e) => {
+            this.updateTimeGranularity(e.target.value);
+        });
+
         // Time slider
         document.getElementById('timeSlider').addEventListener('input', (e) => {
             this.updateTimeSlider(e.target.value);
@@ -103,6 +247,120 @@ class BloomWatch {
             this.updateConfidence(e.target.value);
         });
 
+        // Radar sources, product and opacity
+        document.getElementById('radarProduct').addEventListener('change', (e) => {
+            this.radar.setProduct(e.target.value);
+            this.updateLegend();
+        });
+
+        const radarTileUrl = document.getElementById('radarTileUrl');
+        radarTileUrl.value = this.radar.tileUrl;
+        radarTileUrl.addEventListener('change', (e) => {
+            this.radar.setTileUrl(e.target.value);
+            this.updateLegend();
+        });
+
+        document.getElementById('radarFiles').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadRasterFiles(this.radar, e.target.files);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('clearRadarBtn').addEventListener('click', () => {
+            this.radar.clearFiles();
+            this.updateLegend();
+        });
+
+        document.getElementById('radarOpacity').addEventListener('input', (e) => {
+            document.getElementById('radarOpacityValue').textContent = e.target.value + '%';
+            this.radar.setOpacity(e.target.value / 100);
+        });
+
+        // Vegetation index overlay: index, colour ramp, sources and opacity
+        document.getElementById('showVegetationIndex').addEventListener('change', (e) => {
+            this.toggleVegetationIndex(e.target.checked);
+        });
+
+        document.getElementById('vegetationIndex').addEventListener('change', (e) => {
+            this.vegetation.setIndex(e.target.value);
+            this.updateLegend();
+        });
+
+        document.getElementById('vegetationRamp').addEventListener('change', (e) => {
+            this.vegetation.setRamp(e.target.value);
+            this.updateLegend();
+        });
+
+        const vegetationTileUrl = document.getElementById('vegetationTileUrl');
+        vegetationTileUrl.value = this.vegetation.tileUrl;
+        vegetationTileUrl.addEventListener('change', (e) => {
+            this.vegetation.setTileUrl(e.target.value);
+            this.updateLegend();
+        });
+
+        document.getElementById('vegetationCogUrl').addEventListener('change', (e) => {
+            if (e.target.value.trim()) {
+                this.loadRasterFiles(this.vegetation, [e.target.value.trim()]);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('vegetationFiles').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadRasterFiles(this.vegetation, e.target.files);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('clearVegetationBtn').addEventListener('click', () => {
+            this.vegetation.clearFiles();
+            this.updateLegend();
+        });
+
+        document.getElementById('vegetationOpacity').addEventListener('input', (e) => {
+            document.getElementById('vegetationOpacityValue').textContent = e.target.value + '%';
+            this.vegetation.setOpacity(e.target.value / 100);
+        });
+
+        // Interpolated climate surface
+        document.getElementById('showClimateSurface').addEventListener('change', (e) => {
+            this.toggleClimateSurface(e.target.checked);
+        });
+
+        document.getElementById('climateSurfaceVariable').addEventListener('change', (e) => {
+            this.climateSurface.setVariable(e.target.value);
+            this.updateLegend();
+        });
+
+        document.getElementById('climateSurfaceMethod').addEventListener('change', (e) => {
+            this.climateSurface.setMethod(e.target.value);
+            this.updateLegend();
+        });
+
+        document.getElementById('climateSurfaceOpacity').addEventListener('input', (e) => {
+            document.getElementById('climateSurfaceOpacityValue').textContent = e.target.value + '%';
+            this.climateSurface.setOpacity(e.target.value / 100);
+        });
+
+        // Bloom display mode and heatmap bandwidth
+        document.getElementById('bloomDisplay').addEventListener('change', (e) => {
+            this.setBloomDisplay(e.target.value);
+        });
+
+        document.getElementById('heatBandwidth').addEventListener('input', (e) => {
+            document.getElementById('heatBandwidthValue').textContent = `${e.target.value} km`;
+            this.updateHeatBandwidth(parseInt(e.target.value));
+        });
+
+        // Hotspot detection parameters
+        ['hotspotRadius', 'hotspotMinPoints', 'hotspotSignificance'].forEach(id => {
+            const eventName = id === 'hotspotSignificance' ? 'change' : 'input';
+            document.getElementById(id).addEventListener(eventName, () => {
+                this.updateHotspotParameters();
+            });
+        });
+
         // Opacity slider
         document.getElementById('opacity').addEventListener('input', (e) => {
             document.getElementById('opacityValue').textContent = e.target.value + '%';
@@ -126,6 +384,23 @@ class BloomWatch {
             this.togglePredictions(e.target.checked);
         });
 
+        // Phenology controls
+        document.getElementById('phenologyMethod').addEventListener('change', (e) => {
+            this.updatePhenologyMethod(e.target.value);
+        });
+
+        document.getElementById('phenologyGrouping').addEventListener('change', (e) => {
+            this.updatePhenologyGrouping(e.target.value);
+        });
+
+        document.getElementById('showPhenology').addEventListener('change', (e) => {
+            this.togglePhenology(e.target.checked);
+        });
+
+        document.getElementById('showAnomalies').addEventListener('change', (e) => {
+            this.toggleAnomalies(e.target.checked);
+        });
+
         // Time animation controls
         document.getElementById('playPauseBtn').addEventListener('click', () => {
             this.togglePlayPause();
@@ -143,11 +418,68 @@ class BloomWatch {
         document.getElementById('contributeBtn').addEventListener('click', () => {
             this.openContributionModal();
         });
+        this.setupContributionForm();
+        this.setupModeration();
+        this.setupCorrelationModal();
+        this.setupBiodiversityModal();
+        this.setupSpeciesProfile();
 
         // Close bloom info panel
         document.getElementById('closeBloomInfo').addEventListener('click', () => {
             this.closeBloomInfo();
         });
+
+        // Data import
+        this.setupDataImport();
+
+        // Data export
+        document.querySelectorAll('.export-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportVisibleData(button.dataset.format);
+            });
+        });
+    }
+
+    setupDataImport() {
+        const dropZone = document.getElementById('importDropZone');
+        const fileInput = document.getElementById('importFile');
+
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleImportFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Files can be dropped on the drop zone or directly on the map
+        [dropZone, document.querySelector('.map-container')].forEach(target => {
+            target.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('drag-over');
+            });
+            target.addEventListener('dragleave', () => {
+                dropZone.classList.remove('drag-over');
+            });
+            target.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('drag-over');
+                if (e.dataTransfer.files.length > 0) {
+                    this.handleImportFile(e.dataTransfer.files[0]);
+                }
+            });
+        });
+
+        document.getElementById('closeImportModal').addEventListener('click', () => {
+            this.closeImportModal();
+        });
+
+        document.getElementById('cancelImport').addEventListener('click', () => {
+            this.closeImportModal();
+        });
+
+        document.getElementById('confirmImport').addEventListener('click', () => {
+            this.applyImport();
+        });
     }
 
     loadSampleData() {
@@ -156,11 +488,13 @@ class BloomWatch {
         this.citizenData = this.generateGlobalCitizenData();
         this.climateData = this.generateClimateData();
         this.agriculturalData = this.generateAgriculturalData();
+        this.rebuildTimeline();
         
         this.renderBloomData();
         this.renderCitizenData();
         this.renderClimateData();
         this.renderAgriculturalData();
+        this.renderPhenologyLayer();
         this.updateLegend();
         this.updateEcosystemIndicators();
         this.updateAgriculturalInsights();
@@ -273,7 +607,7 @@ class BloomWatch {
                 const lat = region.center[0] + (Math.random() - 0.5) * region.radius;
                 const lng = region.center[1] + (Math.random() - 0.5) * region.radius;
                 
-                climateData.push({
+                const station = {
                     id: `climate_${region.name}_${i}`,
                     lat: lat,
                     lng: lng,
@@ -283,15 +617,40 @@ class BloomWatch {
                     windSpeed: Math.random() * 20, // 0-20 m/s
                     pressure: 980 + Math.random() * 40, // 980-1020 hPa
                     region: region.name,
-                    climateZone: this.getClimateZone(lat, lng),
-                    bloomCorrelation: Math.random() * 0.8 + 0.2 // 0.2-1.0
-                });
+                    climateZone: this.getClimateZone(lat, lng)
+                };
+                station.readings = this.generateClimateReadings(station);
+                climateData.push(station);
             }
         });
 
         return climateData;
     }
 
+    // Monthly readings that follow a seasonal cycle around the station's long-term values
+    generateClimateReadings(station) {
+        const readings = [];
+        const amplitude = Math.min(Math.abs(station.lat) / 4, 12); // Seasons are stronger away from the equator
+        const hemisphere = station.lat >= 0 ? 1 : -1;
+
+        for (let year = 2020; year <= 2025; year++) {
+            for (let month = 0; month < 12; month++) {
+                // Warmest in July in the north and in January in the south
+                const season = Math.cos(((month - 6) / 12) * 2 * Math.PI) * hemisphere;
+                readings.push({
+                    date: new Date(year, month, 1),
+                    temperature: station.temperature + season * amplitude + (Math.random() - 0.5) * 3,
+                    precipitation: Math.max(0, (station.precipitation / 12) * (1 + season * 0.5 + (Math.random() - 0.5) * 0.6)),
+                    humidity: Math.min(100, Math.max(0, station.humidity + season * 5 + (Math.random() - 0.5) * 10)),
+                    windSpeed: Math.max(0, station.windSpeed + (Math.random() - 0.5) * 4),
+                    pressure: station.pressure + (Math.random() - 0.5) * 8
+                });
+            }
+        }
+
+        return readings;
+    }
+
     generateAgriculturalData() {
         const agriculturalData = [];
         const crops = ['Rice', 'Wheat', 'Corn', 'Soybean', 'Cotton', 'Sugarcane', 'Potato', 'Tomato'];
@@ -301,23 +660,23 @@ class BloomWatch {
             const countryCrops = this.getCountryCrops(country);
             for (let i = 0; i < 12; i++) {
                 const coords = this.getCountryCoordinates(country);
-                const crop = countryCrops[Math.floor(Math.random() * countryCrops.length)];
-                
-                agriculturalData.push({
+                const field = {
                     id: `agri_${country}_${i}`,
                     lat: coords.lat + (Math.random() - 0.5) * 4,
                     lng: coords.lng + (Math.random() - 0.5) * 4,
-                    crop: crop,
-                    plantingDate: this.getRandomDate(),
-                    expectedHarvest: this.getHarvestDate(crop),
+                    crop: countryCrops[Math.floor(Math.random() * countryCrops.length)],
                     yield: Math.random() * 10 + 2, // 2-12 tons/hectare
                     soilMoisture: Math.random() * 100, // 0-100%
                     fertilizerLevel: Math.random() * 100, // 0-100%
                     pestPressure: Math.random() * 100, // 0-100%
-                    country: country,
-                    bloomTiming: this.getBloomTiming(crop),
-                    harvestPrediction: this.predictHarvest(crop, Math.random())
-                });
+                    country: country
+                };
+                // Planted within two weeks of the calendar date, in a year between 2020 and 2025
+                const planted = this.cropModel.getPlantingDate(field, 2020 + Math.floor(Math.random() * 6));
+                field.plantingDate = new Date(planted.getTime() + (Math.random() - 0.5) * 28 * 24 * 60 * 60 * 1000);
+                field.bloomTiming = this.cropModel.getBloomTiming(field);
+                field.expectedHarvest = this.cropModel.getHarvestDate(field);
+                agriculturalData.push(field);
             }
         });
 
@@ -325,7 +684,13 @@ class BloomWatch {
     }
 
     getRandomSpecies(country = 'Global') {
-        const speciesByCountry = {
+        const speciesByCountry = this.getSpeciesByCountry();
+        const species = speciesByCountry[country] || speciesByCountry['USA'];
+        return species[Math.floor(Math.random() * species.length)];
+    }
+
+    getSpeciesByCountry() {
+        return {
             'India': ['Marigold', 'Jasmine', 'Lotus', 'Hibiscus', 'Rose', 'Sunflower', 'Chrysanthemum', 'Dahlia'],
             'USA': ['California Poppy', 'Bluebonnet', 'Sunflower', 'Wild Rose', 'Lupine', 'Desert Marigold'],
             'France': ['Lavender', 'Sunflower', 'Poppy', 'Rose', 'Lily', 'Tulip'],
@@ -337,9 +702,6 @@ class BloomWatch {
             'Brazil': ['Sunflower', 'Rose', 'Hibiscus', 'Orchid', 'Passion Flower'],
             'Argentina': ['Sunflower', 'Rose', 'Dahlia', 'Carnation', 'Lily']
         };
-        
-        const species = speciesByCountry[country] || speciesByCountry['USA'];
-        return species[Math.floor(Math.random() * species.length)];
     }
 
     getCountrySpecies(country) {
@@ -413,175 +775,143 @@ class BloomWatch {
         return typeValues[type] * (countryMultipliers[country] || 1.0);
     }
 
-    getHarvestDate(crop) {
-        const harvestMonths = {
-            'Rice': 6, 'Wheat': 7, 'Corn': 9, 'Soybean': 10, 'Cotton': 11,
-            'Sugarcane': 12, 'Potato': 8, 'Tomato': 7, 'Mango': 5, 'Coffee': 11
-        };
-        const month = harvestMonths[crop] || 8;
-        return new Date(2024, month - 1, 15);
-    }
-
-    getBloomTiming(crop) {
-        const bloomMonths = {
-            'Rice': 4, 'Wheat': 5, 'Corn': 7, 'Soybean': 8, 'Cotton': 9,
-            'Sugarcane': 10, 'Potato': 6, 'Tomato': 6, 'Mango': 3, 'Coffee': 9
-        };
-        const month = bloomMonths[crop] || 6;
-        return new Date(2024, month - 1, 15);
+    // Yield predictions per field from the agricultural blooms, rebuilt only when the bloom or field data changes
+    getYieldPredictions() {
+        const cache = this.yieldPredictions;
+        if (!cache || cache.blooms !== this.bloomData || cache.bloomCount !== this.bloomData.length ||
+            cache.fields !== this.agriculturalData || cache.fieldCount !== this.agriculturalData.length) {
+            const cropBlooms = this.bloomData.filter(bloom => bloom.type === 'agricultural');
+            this.yieldPredictions = {
+                blooms: this.bloomData,
+                bloomCount: this.bloomData.length,
+                fields: this.agriculturalData,
+                fieldCount: this.agriculturalData.length,
+                byField: new Map(this.agriculturalData.map(field =>
+                    [field, this.cropModel.predict(field, cropBlooms, bloom => this.getBloomIndexValue(bloom))]))
+            };
+        }
+        return this.yieldPredictions.byField;
     }
 
-    predictHarvest(crop, bloomQuality) {
-        const baseYield = {
-            'Rice': 4, 'Wheat': 3, 'Corn': 8, 'Soybean': 2.5, 'Cotton': 1.5,
-            'Sugarcane': 80, 'Potato': 25, 'Tomato': 40, 'Mango': 15, 'Coffee': 2
-        };
-        const base = baseYield[crop] || 5;
-        return base * (0.8 + bloomQuality * 0.4); // 80-120% of base yield
+    getYieldPrediction(field) {
+        return this.getYieldPredictions().get(field);
     }
 
     getRandomDate() {
-        const start = new Date('2024-01-01');
-        const end = new Date('2024-12-31');
+        const start = new Date('2020-01-01');
+        const end = new Date('2025-12-31');
         return new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
     }
 
     renderBloomData() {
-        this.bloomLayer.clearLayers();
-        
-        this.bloomData.forEach(bloom => {
-            const color = this.getBloomColor(bloom.intensity);
-            const size = this.getBloomSize(bloom.area);
-            
-            const marker = L.circleMarker([bloom.lat, bloom.lng], {
-                radius: size,
-                fillColor: color,
-                color: '#fff',
-                weight: 2,
-                opacity: 0.8,
-                fillOpacity: 0.7
-            });
-
-            marker.bindPopup(`
-                <div class="bloom-popup">
-                    <h4>${bloom.species}</h4>
-                    <p><strong>Country:</strong> ${bloom.country}</p>
-                    <p><strong>Type:</strong> ${bloom.type}</p>
-                    <p><strong>Intensity:</strong> ${bloom.intensity}</p>
-                    <p><strong>Confidence:</strong> ${(bloom.confidence * 100).toFixed(1)}%</p>
-                    <p><strong>Area:</strong> ${bloom.area.toFixed(1)} hectares</p>
-                    <p><strong>Date:</strong> ${bloom.date.toLocaleDateString()}</p>
-                    <p><strong>Climate Impact:</strong> ${(bloom.climateImpact * 100).toFixed(1)}%</p>
-                    <p><strong>Ecosystem Health:</strong> ${(bloom.ecosystemHealth * 100).toFixed(1)}%</p>
-                    <p><strong>Agricultural Value:</strong> ${(bloom.agriculturalValue * 100).toFixed(1)}%</p>
-                </div>
-            `);
-
-            marker.bloomData = bloom;
-            this.bloomLayer.addLayer(marker);
-        });
-
+        this.renderFilteredBloomData(this.getFilteredBloomData());
+        this.renderAnomalyLayer();
+        this.renderPredictionLayer();
+        // Retraining on every frame would stall playback on large datasets; it catches up on pause
+        if (!this.isPlaying) {
+            this.runMLModel();
+        }
     }
 
     renderCitizenData() {
-        this.citizenLayer.clearLayers();
-        
-        this.citizenData.forEach(observation => {
-            const color = observation.validated ? '#28a745' : '#ffc107';
-            
-            const marker = L.circleMarker([observation.lat, observation.lng], {
-                radius: 6,
-                fillColor: color,
-                color: '#fff',
-                weight: 2,
-                opacity: 0.8,
-                fillOpacity: 0.7
-            });
-
-            marker.bindPopup(`
-                <div class="citizen-popup">
-                    <h4>${observation.species}</h4>
-                    <p><strong>Country:</strong> ${observation.country}</p>
-                    <p><strong>Observer:</strong> ${observation.observer}</p>
-                    <p><strong>Date:</strong> ${observation.date.toLocaleDateString()}</p>
-                    <p><strong>Status:</strong> ${observation.validated ? 'Validated' : 'Pending'}</p>
-                </div>
-            `);
-
-            this.citizenLayer.addLayer(marker);
-        });
-
+        const observations = this.getFilteredCitizenData();
+        this.visibleData.citizen = observations;
+        this.citizenLayer.setData(observations);
+    }
+
+    getCitizenColor(observation) {
+        return observation.validated ? '#28a745' : '#ffc107';
+    }
+
+    getCitizenPopup(observation) {
+        return `
+            <div class="citizen-popup">
+                <h4>${this.getSpeciesLink(observation.species)}</h4>
+                ${observation.photoUrl ? `<img class="citizen-photo" src="${this.escapeHTML(observation.photoUrl)}" alt="${this.escapeHTML(observation.species)}">` : ''}
+                <p><strong>Country:</strong> ${this.escapeHTML(observation.country)}</p>
+                <p><strong>Observer:</strong> ${this.escapeHTML(observation.observer)}</p>
+                <p><strong>Date:</strong> ${observation.date.toLocaleDateString()}</p>
+                ${observation.stage ? `<p><strong>Bloom Stage:</strong> ${ContributionStore.STAGES[observation.stage]}</p>` : ''}
+                ${observation.originalSpecies ? `<p><strong>Reported As:</strong> ${this.escapeHTML(observation.originalSpecies)}</p>` : ''}
+                <p><strong>Status:</strong> ${observation.validated ? 'Validated' : 'Pending'}</p>
+                ${observation.validatedBy ? `<p><strong>Reviewed:</strong> ${this.escapeHTML(observation.validatedBy)}, ${observation.validatedAt.toLocaleDateString()}</p>` : ''}
+                ${observation.contributed ? `<p><strong>Upload:</strong> ${observation.syncState === 'synced' ? 'Synced' : 'Waiting to sync'}</p>` : ''}
+            </div>
+        `;
     }
 
     renderClimateData() {
-        this.climateLayer.clearLayers();
-        
-        this.climateData.forEach(climate => {
-            const color = this.getClimateColor(climate.temperature);
-            
-            const marker = L.circleMarker([climate.lat, climate.lng], {
-                radius: 8,
-                fillColor: color,
-                color: '#fff',
-                weight: 2,
-                opacity: 0.6,
-                fillOpacity: 0.5
-            });
-
-            marker.bindPopup(`
-                <div class="climate-popup">
-                    <h4>Climate Station</h4>
-                    <p><strong>Region:</strong> ${climate.region}</p>
-                    <p><strong>Temperature:</strong> ${climate.temperature.toFixed(1)}°C</p>
-                    <p><strong>Precipitation:</strong> ${climate.precipitation.toFixed(1)}mm</p>
-                    <p><strong>Humidity:</strong> ${climate.humidity.toFixed(1)}%</p>
-                    <p><strong>Wind Speed:</strong> ${climate.windSpeed.toFixed(1)} m/s</p>
-                    <p><strong>Pressure:</strong> ${climate.pressure.toFixed(1)} hPa</p>
-                    <p><strong>Climate Zone:</strong> ${climate.climateZone}</p>
-                    <p><strong>Bloom Correlation:</strong> ${(climate.bloomCorrelation * 100).toFixed(1)}%</p>
-                </div>
-            `);
+        const stations = this.getFilteredClimateData();
+        this.visibleData.climate = stations;
+        this.climateLayer.setData(stations);
+        this.renderClimateSurface(stations);
+    }
 
-            this.climateLayer.addLayer(marker);
-        });
+    // Interpolated from the stations as summarised over the time window
+    renderClimateSurface(stations = this.getFilteredClimateData()) {
+        if (!this.map.hasLayer(this.climateSurface.layer)) return;
+        this.climateSurface.setStations(stations, this.climateData, this.getTimeWindowLabel(this.getTimeWindow()));
+        this.updateLegend();
+    }
 
+    getClimatePopup(climate) {
+        const timeWindow = this.getTimeWindow();
+        return `
+            <div class="climate-popup">
+                <h4>Climate Station</h4>
+                <p><strong>Region:</strong> ${this.escapeHTML(climate.region)}</p>
+                <p><strong>Temperature:</strong> ${climate.temperature.toFixed(1)}°C</p>
+                ${climate.readingCount ? `<p><strong>Period:</strong> ${this.escapeHTML(this.getTimeWindowLabel(timeWindow))} (${climate.readingCount} monthly reading${climate.readingCount === 1 ? '' : 's'})</p>` : ''}
+                <p><strong>Precipitation:</strong> ${climate.precipitation.toFixed(1)}mm${climate.readingCount > 1 ? ' total' : ''}</p>
+                <p><strong>Humidity:</strong> ${climate.humidity.toFixed(1)}%</p>
+                <p><strong>Wind Speed:</strong> ${this.formatOptional(climate.windSpeed, ' m/s')}</p>
+                <p><strong>Pressure:</strong> ${this.formatOptional(climate.pressure, ' hPa')}</p>
+                <p><strong>Climate Zone:</strong> ${climate.climateZone}</p>
+                <p><strong>Temperature vs Bloom Intensity:</strong> ${this.formatCorrelation(this.getStationCorrelation(climate))}</p>
+            </div>
+        `;
     }
 
     renderAgriculturalData() {
-        this.agriculturalLayer.clearLayers();
-        
-        this.agriculturalData.forEach(field => {
-            const color = this.getCropColor(field.crop);
-            
-            const marker = L.circleMarker([field.lat, field.lng], {
-                radius: 10,
-                fillColor: color,
-                color: '#fff',
-                weight: 2,
-                opacity: 0.7,
-                fillOpacity: 0.6
-            });
-
-            marker.bindPopup(`
-                <div class="agricultural-popup">
-                    <h4>${field.crop} Field</h4>
-                    <p><strong>Country:</strong> ${field.country}</p>
-                    <p><strong>Planting Date:</strong> ${field.plantingDate.toLocaleDateString()}</p>
-                    <p><strong>Expected Harvest:</strong> ${field.expectedHarvest.toLocaleDateString()}</p>
-                    <p><strong>Bloom Timing:</strong> ${field.bloomTiming.toLocaleDateString()}</p>
-                    <p><strong>Predicted Yield:</strong> ${field.harvestPrediction.toFixed(1)} tons/hectare</p>
-                    <p><strong>Soil Moisture:</strong> ${field.soilMoisture.toFixed(1)}%</p>
-                    <p><strong>Fertilizer Level:</strong> ${field.fertilizerLevel.toFixed(1)}%</p>
-                    <p><strong>Pest Pressure:</strong> ${field.pestPressure.toFixed(1)}%</p>
-                </div>
-            `);
+        const fields = this.getFilteredAgriculturalData();
+        this.visibleData.agricultural = fields;
+        // Stages move with the time window, so every field is restyled
+        this.agriculturalLayer.setData(fields, true);
+    }
+
+    getAgriculturalPopup(field) {
+        const timeWindow = this.getTimeWindow();
+        const stage = timeWindow ? this.getFieldStage(field, timeWindow) : null;
+        const prediction = this.getYieldPrediction(field);
+        return `
+            <div class="agricultural-popup">
+                <h4>${this.escapeHTML(field.crop)} Field</h4>
+                <p><strong>Country:</strong> ${this.escapeHTML(field.country)}</p>
+                ${stage ? `<p><strong>Stage:</strong> ${stage.charAt(0).toUpperCase() + stage.slice(1)}</p>` : ''}
+                <p><strong>Planting Date:</strong> ${field.plantingDate.toLocaleDateString()}</p>
+                <p><strong>Expected Harvest:</strong> ${field.expectedHarvest.toLocaleDateString()}</p>
+                <p><strong>Bloom Timing:</strong> ${field.bloomTiming.toLocaleDateString()}</p>
+                <p><strong>Crop Calendar:</strong> ${this.formatCropCalendar(field)}</p>
+                <p><strong>${prediction.reported ? 'Reported' : 'Predicted'} Yield:</strong> ${prediction.value.toFixed(1)} tons/hectare (typical ${prediction.base})</p>
+                <ul class="yield-drivers">
+                    ${prediction.drivers.map(driver => `
+                        <li><strong>${CropModel.DRIVERS[driver.name].label}:</strong> ${this.formatEffect(driver.factor - 1)}, ${this.escapeHTML(driver.detail)}</li>
+                    `).join('')}
+                </ul>
+                <p><strong>Soil Moisture:</strong> ${field.soilMoisture.toFixed(1)}%</p>
+                <p><strong>Fertilizer Level:</strong> ${field.fertilizerLevel.toFixed(1)}%</p>
+                <p><strong>Pest Pressure:</strong> ${field.pestPressure.toFixed(1)}%</p>
+            </div>
+        `;
+    }
 
-            this.agriculturalLayer.addLayer(marker);
-        });
 
+    formatCropCalendar(field) {
+        const calendar = this.cropModel.getCalendar(field.crop, field.country, field.lat);
+        const month = number => new Date(2023, number - 1, 1).toLocaleDateString(undefined, { month: 'short' });
+        return `plant ${month(calendar.plant)}, bloom ${month(calendar.bloom)}, harvest ${month(calendar.harvest)} (${this.escapeHTML(calendar.source)})`;
     }
 
-
     getClimateColor(temperature) {
         if (temperature < 0) return '#0000FF'; // Blue for cold
         if (temperature < 10) return '#0080FF'; // Light blue
@@ -591,6 +921,14 @@ class BloomWatch {
         return '#FF0000'; // Red for hot
     }
 
+    getStageColor(stage) {
+        const colors = {
+            'growing': '#8BC34A', 'flowering': '#E91E63',
+            'ripening': '#FF9800', 'harvest': '#795548'
+        };
+        return colors[stage] || '#fff';
+    }
+
     getCropColor(crop) {
         const colors = {
             'Rice': '#90EE90', 'Wheat': '#F0E68C', 'Corn': '#FFD700',
@@ -618,145 +956,715 @@ class BloomWatch {
         return 20;
     }
 
-    updateDataSource(source) {
+    async updateDataSource(source) {
         console.log('Updating data source:', source);
-        // In a real implementation, this would fetch data from the selected source
+        const request = ++this.dataSourceRequest;
         this.showLoadingSpinner();
-        setTimeout(() => {
-            this.hideLoadingSpinner();
+
+        try {
+            // Each source adapter normalizes its records into the bloom schema
+            const blooms = await this.dataSources.load(source);
+            // A source picked while this one was loading wins, even if its load finished first
+            if (request !== this.dataSourceRequest) return;
+            this.dataSource = source;
+            this.bloomData = blooms;
+            this.rebuildTimeline();
+
+            this.renderBloomData();
+            this.renderPhenologyLayer();
             this.updateStatistics();
-        }, 1000);
+            this.updateEcosystemIndicators();
+        } catch (error) {
+            // Keep showing the previous data if the source cannot be loaded
+            console.error('Failed to load data source:', source, error);
+        } finally {
+            if (request === this.dataSourceRequest) this.hideLoadingSpinner();
+        }
     }
 
-    updateBloomType(type) {
-        console.log('Updating bloom type:', type);
-        // Filter and re-render bloom data based on type
-        this.renderBloomData();
+    async handleImportFile(file) {
+        try {
+            const parsed = await this.dataImporter.readFile(file);
+            // iNaturalist and GLOBE Observer files can only hold citizen observations
+            if (parsed.format) {
+                document.getElementById('importDataset').value = 'citizen';
+            }
+            const dataset = document.getElementById('importDataset').value;
+            this.pendingImport = {
+                dataset,
+                format: parsed.format,
+                fileName: file.name,
+                columns: parsed.columns,
+                rows: parsed.rows,
+                mapping: this.dataImporter.suggestMapping(dataset, parsed.columns)
+            };
+            this.openImportModal();
+        } catch (error) {
+            console.error('Failed to read import file:', file.name, error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+        }
     }
 
-    updateBloomIntensity(intensity) {
-        console.log('Updating bloom intensity:', intensity);
-        // Filter blooms by intensity level
-        this.renderBloomData();
+    openImportModal() {
+        const { dataset, format, fileName, columns, rows, mapping } = this.pendingImport;
+        const options = ['<option value="">(not mapped)</option>']
+            .concat(columns.map(column => `<option value="${this.escapeHTML(column)}">${this.escapeHTML(column)}</option>`))
+            .join('');
+
+        const source = format ? ` from ${ObservationFormats.FORMATS[format].label}` : '';
+        document.getElementById('importTitle').textContent = `Import ${fileName}${source} (${rows.length} rows)`;
+        document.getElementById('importMapping').innerHTML = DataImporter.schemas[dataset].map(field => `
+            <label for="map_${field.name}">${field.label}${field.required ? ' *' : ''}</label>
+            <select id="map_${field.name}" class="control-select" data-field="${field.name}">${options}</select>
+        `).join('');
+
+        document.querySelectorAll('#importMapping select').forEach(select => {
+            select.value = mapping[select.dataset.field];
+            select.addEventListener('change', (e) => {
+                mapping[e.target.dataset.field] = e.target.value;
+                this.previewImport();
+            });
+        });
+
+        this.previewImport();
+        document.getElementById('importModal').classList.add('open');
     }
 
-    updateTimeRange(range) {
-        console.log('Updating time range:', range);
-        // Update time slider range and labels
-        const slider = document.getElementById('timeSlider');
-        const timeStart = document.getElementById('timeStart');
-        const timeEnd = document.getElementById('timeEnd');
-        
-        switch(range) {
-            case 'recent':
-                timeStart.textContent = 'Jan 2024';
-                timeEnd.textContent = 'Dec 2024';
-                break;
-            case 'historical':
-                timeStart.textContent = 'Jan 2020';
-                timeEnd.textContent = 'Dec 2023';
-                break;
-            case 'seasonal':
-                timeStart.textContent = 'Spring 2024';
-                timeEnd.textContent = 'Fall 2024';
-                break;
-            case 'monthly':
-                timeStart.textContent = 'Nov 2024';
-                timeEnd.textContent = 'Dec 2024';
-                break;
-        }
+    previewImport() {
+        const { dataset, rows, mapping } = this.pendingImport;
+        const result = this.dataImporter.buildRecords(dataset, rows, mapping);
+        this.pendingImport.result = result;
+
+        // Only the first errors are listed so very broken files stay readable
+        const maxListed = 100;
+        const items = result.errors.slice(0, maxListed).map(error => `
+            <li>${error.row ? `Row ${error.row}: ` : ''}${this.escapeHTML(error.message)}</li>
+        `).join('');
+        const more = result.errors.length > maxListed ? `<li>…and ${result.errors.length - maxListed} more</li>` : '';
+
+        document.getElementById('importErrors').innerHTML = `
+            <p class="import-summary">${result.records.length} of ${rows.length} rows valid, ${result.errors.length} errors</p>
+            ${result.errors.length > 0 ? `<ul>${items}${more}</ul>` : ''}
+        `;
+        document.getElementById('confirmImport').disabled = result.records.length === 0;
     }
 
-    updateTimeSlider(value) {
-        console.log('Time slider value:', value);
-        // Update map visualization based on time
-        this.currentTimeIndex = parseInt(value);
-        const timeData = this.timeData[this.currentTimeIndex];
-        
-        if (timeData) {
-            // Update time display
-            const timeDisplay = document.querySelector('.time-labels');
-            if (timeDisplay) {
-                timeDisplay.innerHTML = `
-                    <span id="timeStart">${timeData.month} ${timeData.year}</span>
-                    <span id="timeEnd">Current</span>
-                `;
-            }
-            
-            // Filter and render data based on current time
-            this.renderTimeBasedData(timeData);
-        }
+    applyImport() {
+        const { dataset, result } = this.pendingImport;
+        const append = document.getElementById('importAppend').checked;
+        const property = `${dataset}Data`;
+
+        this[property] = append ? this[property].concat(result.records) : result.records;
+        console.log(`Imported ${result.records.length} ${dataset} records`);
+
+        this.closeImportModal();
+        this.rebuildTimeline();
+        this.refreshAllData();
+        if (dataset === 'citizen') this.refreshModerationQueue();
     }
 
-    renderTimeBasedData(timeData) {
-        // Filter blooms based on time
-        const filteredBlooms = this.bloomData.filter(bloom => {
-            const bloomMonth = bloom.date.getMonth();
-            return bloomMonth === timeData.index;
-        });
-        
-        // Render filtered data
-        this.renderFilteredBloomData(filteredBlooms);
+    closeImportModal() {
+        document.getElementById('importModal').classList.remove('open');
+        this.pendingImport = null;
+    }
+
+    refreshAllData() {
+        this.renderBloomData();
         this.renderCitizenData();
         this.renderClimateData();
         this.renderAgriculturalData();
+        this.renderPhenologyLayer();
+        this.updateStatistics();
+        this.updateEcosystemIndicators();
+        this.updateAgriculturalInsights();
     }
 
-    renderFilteredBloomData(blooms) {
-        this.bloomLayer.clearLayers();
-        
-        blooms.forEach(bloom => {
-            const color = this.getBloomColor(bloom.intensity);
-            const size = this.getBloomSize(bloom.area);
-            
-            const marker = L.circleMarker([bloom.lat, bloom.lng], {
-                radius: size,
-                fillColor: color,
-                color: '#fff',
-                weight: 2,
-                opacity: 0.8,
-                fillOpacity: 0.7
-            });
-
-            marker.bindPopup(`
-                <div class="bloom-popup">
-                    <h4>${bloom.species}</h4>
-                    <p><strong>Country:</strong> ${bloom.country}</p>
-                    <p><strong>Type:</strong> ${bloom.type}</p>
-                    <p><strong>Intensity:</strong> ${bloom.intensity}</p>
-                    <p><strong>Confidence:</strong> ${(bloom.confidence * 100).toFixed(1)}%</p>
-                    <p><strong>Area:</strong> ${bloom.area.toFixed(1)} hectares</p>
-                    <p><strong>Date:</strong> ${bloom.date.toLocaleDateString()}</p>
-                    <p><strong>Climate Impact:</strong> ${(bloom.climateImpact * 100).toFixed(1)}%</p>
-                    <p><strong>Ecosystem Health:</strong> ${(bloom.ecosystemHealth * 100).toFixed(1)}%</p>
-                    <p><strong>Agricultural Value:</strong> ${(bloom.agriculturalValue * 100).toFixed(1)}%</p>
-                </div>
-            `);
+    exportVisibleData(format) {
+        // The observation formats only carry the citizen layer
+        const layers = this.getVisibleLayers()
+            .filter(layer => !ObservationFormats.FORMATS[format] || layer.name === 'citizen')
+            .map(layer => layer.name === 'agricultural'
+                ? { name: layer.name, records: layer.records.map(field => this.withHarvestPrediction(field)) }
+                : layer);
+        const total = layers.reduce((sum, layer) => sum + layer.records.length, 0);
+        if (total === 0) {
+            alert('There is no visible data to export.');
+            return;
+        }
+        this.dataExporter.export(format, layers);
+    }
 
-            marker.bloomData = bloom;
-            this.bloomLayer.addLayer(marker);
+    // Yield predictions follow the bloom data, so exports attach them as a copy rather than storing them on the field
+    withHarvestPrediction(field) {
+        const prediction = this.getYieldPrediction(field);
+        const drivers = {};
+        prediction.drivers.forEach(driver => {
+            drivers[driver.name] = driver.factor;
+        });
+        return Object.assign({}, field, {
+            harvestPrediction: { value: prediction.value, reported: prediction.reported, drivers }
         });
     }
 
-    updateMLModel(model) {
-        console.log('Updating ML model:', model);
-        if (model !== 'none') {
-            this.showLoadingSpinner();
-            setTimeout(() => {
-                this.hideLoadingSpinner();
-                this.updateStatistics();
-            }, 1500);
-        }
+    getVisibleLayers() {
+        // Hidden layers are left out so the export matches what is on the map
+        const layers = {
+            bloom: this.bloomLayer,
+            citizen: this.citizenLayer,
+            climate: this.climateLayer,
+            agricultural: this.agriculturalLayer
+        };
+        return Object.keys(layers)
+            .filter(name => this.map.hasLayer(layers[name]) || (name === 'bloom' && this.map.hasLayer(this.bloomHeatLayer)))
+            .map(name => ({ name, records: this.visibleData[name] }));
     }
 
-    updateConfidence(confidence) {
-        console.log('Updating confidence threshold:', confidence);
-        // Filter blooms by confidence level
-        this.renderBloomData();
+    getFilteredBloomData() {
+        // The temporal index narrows blooms to the time window before the other filters run
+        return this.filterByTimeWindow(this.bloomData, 'date').filter(bloom => this.matchesBloomFilters(bloom));
     }
 
-    updateOpacity(opacity) {
-        const opacityValue = opacity / 100;
+    matchesBloomFilters(bloom, region = this.filters.region) {
+        const filters = this.filters;
+        const levels = DataSourceAdapter.INTENSITIES;
+        const level = levels.indexOf(bloom.intensity);
+
+        if (filters.type !== 'all' && bloom.type !== filters.type) return false;
+        if (level < levels.indexOf(filters.intensity.min) || level > levels.indexOf(filters.intensity.max)) return false;
+        if (bloom.confidence < filters.confidence) return false;
+        if (!this.matchesRegion(bloom, region)) return false;
+        return true;
+    }
+
+    // Rejected observations stay in the data for the record but are not shown or counted
+    getFilteredCitizenData() {
+        return this.filterByTimeWindow(this.citizenData, 'date')
+            .filter(observation => observation.status !== 'rejected' && this.matchesRegion(observation, this.filters.region));
+    }
+
+    // Stations are summarized over the time window; those without readings in it are hidden
+    getFilteredClimateData() {
+        const timeWindow = this.getTimeWindow();
+        return this.climateData
+            .filter(station => this.matchesRegion(station, this.filters.region))
+            .map(station => this.getClimateForWindow(station, timeWindow))
+            .filter(station => station !== null);
+    }
+
+    // Fields are shown while their season (planting to harvest) overlaps the time window
+    getFilteredAgriculturalData() {
+        const timeWindow = this.getTimeWindow();
+        return this.agriculturalData.filter(field =>
+            this.matchesRegion(field, this.filters.region) &&
+            (!timeWindow || this.getFieldStage(field, timeWindow) !== null)
+        );
+    }
+
+    filterByTimeWindow(records, dateKey) {
+        const timeWindow = this.getTimeWindow();
+        return timeWindow ? this.temporalIndex.query(records, dateKey, timeWindow.start, timeWindow.end) : records;
+    }
+
+    getClimateForWindow(station, timeWindow) {
+        if (!station.readings) {
+            // Single imported readings carry an optional date; undated stations always show
+            if (!timeWindow || !(station.date instanceof Date)) return station;
+            return station.date >= timeWindow.start && station.date < timeWindow.end ? station : null;
+        }
+
+        // Monthly readings cover their whole month, so the month the window starts in counts too
+        const readings = timeWindow
+            ? this.temporalIndex.query(station.readings, 'date', TemporalIndex.floor(timeWindow.start, 'month'), timeWindow.end)
+            : station.readings;
+        if (readings.length === 0) return null;
+
+        // The same readings give back the same summary object, so the climate layer can update incrementally
+        const cached = this.climateSummaries.get(station);
+        if (cached && cached.count === readings.length && cached.first === readings[0] &&
+            cached.last === readings[readings.length - 1]) {
+            return cached.summary;
+        }
+
+        const mean = key => readings.reduce((sum, reading) => sum + reading[key], 0) / readings.length;
+        const summary = Object.assign({}, station, {
+            temperature: mean('temperature'),
+            precipitation: readings.reduce((sum, reading) => sum + reading.precipitation, 0),
+            humidity: mean('humidity'),
+            windSpeed: mean('windSpeed'),
+            pressure: mean('pressure'),
+            readingCount: readings.length
+        });
+        delete summary.readings;
+        this.climateSummaries.set(station, { count: readings.length, first: readings[0], last: readings[readings.length - 1], summary });
+        return summary;
+    }
+
+    // Stage of a field in the middle of the window, or null when its season lies outside it
+    getFieldStage(field, timeWindow) {
+        const margin = 14 * 24 * 60 * 60 * 1000; // Flowering and harvest last about four weeks
+        const bloom = field.bloomTiming.getTime();
+        const harvest = field.expectedHarvest.getTime();
+        if (field.plantingDate >= timeWindow.end || harvest + margin <= timeWindow.start.getTime()) return null;
+
+        const middle = (timeWindow.start.getTime() + timeWindow.end.getTime()) / 2;
+        const time = Math.min(Math.max(middle, field.plantingDate.getTime()), harvest + margin - 1);
+        if (time < bloom - margin) return 'growing';
+        if (time < bloom + margin) return 'flowering';
+        if (time < harvest - margin) return 'ripening';
+        return 'harvest';
+    }
+
+    getTimeWindowLabel(timeWindow) {
+        if (!timeWindow) return 'All dates';
+        if (timeWindow.label) return timeWindow.label;
+        return `${this.timeData[0].label} - ${this.timeData[this.timeData.length - 1].label}`;
+    }
+
+    matchesRegion(record, region) {
+        return region === 'global' || this.regionBoundaries.contains(region, record.lat, record.lng);
+    }
+
+    // Re-renders blooms and refreshes every count that depends on the filters
+    applyFilters() {
+        this.renderBloomData();
+        this.updateStatistics();
+        this.updateEcosystemIndicators();
+    }
+
+    updateBloomType(type) {
+        console.log('Updating bloom type:', type);
+        this.filters.type = type;
+        this.applyFilters();
+    }
+
+    updateBloomIntensity(min, max, follow = 'max') {
+        console.log('Updating bloom intensity:', min, max);
+        const levels = DataSourceAdapter.INTENSITIES;
+        // Keep the range valid by moving the other bound along with the one that changed
+        if (levels.indexOf(min) > levels.indexOf(max)) {
+            if (follow === 'max') {
+                max = min;
+                document.getElementById('bloomIntensityMax').value = max;
+            } else {
+                min = max;
+                document.getElementById('bloomIntensity').value = min;
+            }
+        }
+        this.filters.intensity = { min, max };
+        this.applyFilters();
+    }
+
+    updateTimeRange(range) {
+        console.log('Updating time range:', range);
+        this.timeRange = range;
+        // Each range comes with a default granularity, which can then be changed
+        this.timeGranularity = TemporalIndex.RANGES[range].granularity;
+        document.getElementById('timeGranularity').value = this.timeGranularity;
+
+        this.rebuildTimeline(true);
+        this.renderTimeBasedData();
+    }
+
+    updateTimeGranularity(granularity) {
+        console.log('Updating time granularity:', granularity);
+        this.timeGranularity = granularity;
+        this.rebuildTimeline(true);
+        this.renderTimeBasedData();
+    }
+
+    // Rebuilds the slider buckets for the selected time range and granularity
+    rebuildTimeline(resetSelection = false) {
+        const extent = this.temporalIndex.getRangeExtent(TemporalIndex.RANGES[this.timeRange],
+            this.temporalIndex.getExtent(this.getDatedCollections()));
+
+        this.timeData = extent ? this.temporalIndex.buildBuckets(extent.start, extent.end, this.timeGranularity) : [];
+        if (resetSelection || this.filters.timeIndex >= this.timeData.length) {
+            this.filters.timeIndex = null;
+            this.currentTimeIndex = 0;
+        }
+        this.updateTimeLabels();
+    }
+
+    getDatedCollections() {
+        return [
+            { records: this.bloomData, dateKey: 'date' },
+            { records: this.citizenData, dateKey: 'date' },
+            { records: this.agriculturalData, dateKey: 'plantingDate' }
+        ];
+    }
+
+    // The selected bucket, or the whole time range when no bucket is selected
+    getTimeWindow() {
+        if (this.timeData.length === 0) return null;
+        if (this.filters.timeIndex !== null) return this.timeData[this.filters.timeIndex];
+        return { start: this.timeData[0].start, end: this.timeData[this.timeData.length - 1].end };
+    }
+
+    updateTimeSlider(value) {
+        console.log('Time slider value:', value);
+        // Update map visualization based on time
+        this.currentTimeIndex = parseInt(value);
+        const timeData = this.timeData[this.currentTimeIndex];
+        
+        if (timeData) {
+            this.filters.timeIndex = timeData.index;
+            this.updateTimeLabels();
+            
+            // Filter and render data based on current time
+            this.renderTimeBasedData(timeData);
+        }
+    }
+
+    renderTimeBasedData(timeData = this.getTimeWindow()) {
+        // Every layer is filtered by the time window stored in the filter state
+        this.applyFilters();
+        this.renderCitizenData();
+        this.renderClimateData();
+        this.renderAgriculturalData();
+    }
+
+    renderFilteredBloomData(blooms = this.getFilteredBloomData()) {
+        this.visibleData.bloom = blooms;
+        this.bloomLayer.setData(blooms);
+        if (this.map.hasLayer(this.bloomHeatLayer)) {
+            this.bloomHeatLayer.setLatLngs(this.getHeatPoints(blooms));
+        }
+    }
+
+    getBloomPopup(bloom) {
+        return `
+            <div class="bloom-popup">
+                <h4>${this.getSpeciesLink(bloom.species)}</h4>
+                <p><strong>Country:</strong> ${this.escapeHTML(bloom.country)}</p>
+                <p><strong>Type:</strong> ${bloom.type}</p>
+                <p><strong>Intensity:</strong> ${bloom.intensity}</p>
+                <p><strong>Confidence:</strong> ${(bloom.confidence * 100).toFixed(1)}%</p>
+                <p><strong>Area:</strong> ${bloom.area.toFixed(1)} hectares</p>
+                <p><strong>Date:</strong> ${bloom.date.toLocaleDateString()}</p>
+                <p><strong>Climate Impact:</strong> ${(bloom.climateImpact * 100).toFixed(1)}%</p>
+                <p><strong>Ecosystem Health:</strong> ${(bloom.ecosystemHealth * 100).toFixed(1)}%</p>
+                <p><strong>Agricultural Value:</strong> ${(bloom.agriculturalValue * 100).toFixed(1)}%</p>
+            </div>
+        `;
+    }
+
+    updateMLModel(model) {
+        console.log('Updating ML model:', model);
+        this.mlModel = model;
+        document.getElementById('hotspotParams').style.display = model === 'hotspot-detection' ? 'block' : 'none';
+        this.runMLModel();
+        this.updateStatistics();
+    }
+
+    // Trains the selected model on the selected region's blooms. Without a selected model the
+    // bloom prediction is still evaluated, since it backs the Prediction Accuracy statistic.
+    // Each result is kept on the training set and only re-run when the model's own inputs change.
+    runMLModel() {
+        const training = this.getMLTraining();
+        const model = this.mlModel === 'none' ? 'bloom-prediction' : this.mlModel;
+
+        switch (model) {
+            case 'species':
+                this.mlResult = this.getSpeciesResult(training);
+                break;
+            case 'density-estimation':
+                if (!training.density) {
+                    training.density = this.bloomModels.runDensity(training.records, bloom => this.getBloomHeatWeight(bloom));
+                }
+                this.mlResult = training.density;
+                break;
+            case 'hotspot-detection':
+                this.mlResult = this.getHotspotResult(training);
+                break;
+            case 'bloom-prediction':
+            default:
+                this.mlResult = this.getBloomPredictionResult(training);
+        }
+
+        this.renderMLLayer();
+        this.updateMLSummary();
+    }
+
+    // The region's blooms, rebuilt only when the region or the bloom data changes, so filter,
+    // time and playback changes do not retrain the models
+    getMLTraining() {
+        const cache = this.mlTraining;
+        if (!cache || cache.region !== this.filters.region ||
+            cache.blooms !== this.bloomData || cache.bloomCount !== this.bloomData.length) {
+            this.mlTraining = {
+                region: this.filters.region,
+                blooms: this.bloomData,
+                bloomCount: this.bloomData.length,
+                records: this.bloomData.filter(bloom => this.matchesRegion(bloom, this.filters.region)),
+                bloomPrediction: null,
+                forecast: null,
+                species: null,
+                density: null,
+                hotspots: null
+            };
+        }
+        return this.mlTraining;
+    }
+
+    getBloomPredictionTraining(training) {
+        if (!training.bloomPrediction) {
+            training.bloomPrediction = this.bloomModels.trainBloomPrediction(training.records, bloom => this.getBloomIndexValue(bloom));
+        }
+        return training.bloomPrediction;
+    }
+
+    // The forecast features only use the day of year of the target date, so it is re-run when that day changes
+    getBloomPredictionResult(training) {
+        const date = this.getPredictionDate();
+        const day = PhenologyEngine.dayOfYear(date);
+        if (!training.forecast || training.forecast.day !== day) {
+            training.forecast = {
+                day,
+                result: this.bloomModels.runBloomPrediction(
+                    this.getBloomPredictionTraining(training), this.getPredictionSites(training.records), date,
+                    bloom => this.getBloomIndexValue(bloom)
+                )
+            };
+        }
+        return training.forecast.result;
+    }
+
+    // Labels the visible blooms, so it is re-run when the filters change which blooms those are
+    getSpeciesResult(training) {
+        const targets = this.getFilteredBloomData();
+        const cached = training.species;
+        if (!cached || cached.targets.length !== targets.length || cached.targets.some((bloom, index) => bloom !== targets[index])) {
+            training.species = { targets, result: this.bloomModels.runSpecies(training.records, targets) };
+        }
+        return training.species.result;
+    }
+
+    // Detection is reused until the records or the detector parameters change
+    getHotspotResult(training) {
+        const detector = this.bloomModels.hotspots;
+        const parameters = `${detector.radius}|${detector.minPoints}|${detector.significance}`;
+        if (!training.hotspots || training.hotspots.parameters !== parameters) {
+            training.hotspots = {
+                parameters,
+                // Gi* weighs each bloom by its intensity and extent
+                result: this.bloomModels.runHotspots(training.records, bloom => this.getBloomIndexValue(bloom) * (bloom.area || 1))
+            };
+        }
+        return training.hotspots.result;
+    }
+
+    // One forecast point per site, at the centre of its observations
+    getPredictionSites(records) {
+        const sites = {};
+        records.forEach(record => {
+            const site = sites[record.region] || (sites[record.region] = { id: record.region, lat: 0, lng: 0, count: 0 });
+            site.lat += record.lat;
+            site.lng += record.lng;
+            site.count++;
+        });
+        return Object.values(sites).map(site => ({ id: site.id, lat: site.lat / site.count, lng: site.lng / site.count }));
+    }
+
+    getPredictionDate() {
+        const timeWindow = this.getTimeWindow();
+        return timeWindow ? new Date((timeWindow.start.getTime() + timeWindow.end.getTime()) / 2) : new Date();
+    }
+
+    renderMLLayer() {
+        this.mlLayer.clearLayers();
+        const result = this.mlResult;
+        if (this.mlModel === 'none' || !result) return;
+
+        switch (result.model) {
+            case 'species':
+                result.predictions.forEach(prediction => {
+                    const marker = L.circleMarker([prediction.record.lat, prediction.record.lng], {
+                        radius: 7,
+                        fillColor: prediction.correct ? '#28a745' : '#dc3545',
+                        color: '#fff',
+                        weight: 2,
+                        opacity: 0.9,
+                        fillOpacity: 0.8
+                    });
+                    marker.bindPopup(`
+                        <div class="ml-popup">
+                            <h4>Species Classification</h4>
+                            <p><strong>Predicted:</strong> ${this.getSpeciesLink(prediction.predicted)} (${(prediction.probability * 100).toFixed(0)}%)</p>
+                            <p><strong>Recorded:</strong> ${this.getSpeciesLink(prediction.record.species)}</p>
+                        </div>
+                    `);
+                    this.mlLayer.addLayer(marker);
+                });
+                break;
+            case 'bloom-prediction': {
+                const period = this.getTimeWindowLabel(this.getTimeWindow());
+                result.predictions.forEach(site => {
+                    const marker = L.circleMarker([site.lat, site.lng], {
+                        radius: 14,
+                        fillColor: this.getBloomColor(site.intensity),
+                        color: '#6f42c1',
+                        weight: 2,
+                        opacity: 0.9,
+                        fillOpacity: 0.6
+                    });
+                    marker.bindPopup(`
+                        <div class="ml-popup">
+                            <h4>${this.escapeHTML(String(site.id).replace(/_/g, ' '))}</h4>
+                            <p><strong>Forecast for:</strong> ${this.escapeHTML(period)}</p>
+                            <p><strong>Predicted Intensity:</strong> ${site.intensity} (${site.value.toFixed(2)})</p>
+                        </div>
+                    `);
+                    this.mlLayer.addLayer(marker);
+                });
+                break;
+            }
+            case 'density-estimation': {
+                // Cell centres carry the estimated density; a radius of about one cell blends them
+                const radius = this.kilometresToPixels(this.bloomModels.cellSize * 111);
+                this.mlLayer.addLayer(L.heatLayer(result.cells.map(cell => [
+                    (cell.bounds[0][0] + cell.bounds[1][0]) / 2,
+                    (cell.bounds[0][1] + cell.bounds[1][1]) / 2,
+                    cell.density
+                ]), { radius: radius, blur: radius, maxZoom: 12, max: 1 }));
+                break;
+            }
+            case 'hotspot-detection':
+                result.clusters.forEach(cluster => {
+                    const color = this.getHotspotColor(cluster.confidence);
+                    const style = { color: color, weight: 2, fillColor: color, fillOpacity: 0.3 };
+                    // Clusters of one or two distinct locations have no area, so fall back to the search radius
+                    const shape = cluster.hull.length >= 3
+                        ? L.polygon(cluster.hull, style)
+                        : L.circle(cluster.centroid, Object.assign({ radius: this.bloomModels.hotspots.radius * 1000 }, style));
+
+                    shape.bindPopup(() => this.getHotspotPopup(cluster), { maxHeight: 300 });
+                    this.mlLayer.addLayer(shape);
+                });
+                break;
+        }
+    }
+
+    // 'markers', 'heatmap' or 'both'
+    setBloomDisplay(mode) {
+        console.log('Bloom display:', mode);
+        this.bloomDisplay = mode;
+        const showMarkers = mode !== 'heatmap';
+        const showHeatmap = mode !== 'markers';
+
+        if (showMarkers) {
+            this.map.addLayer(this.bloomLayer);
+        } else {
+            this.map.removeLayer(this.bloomLayer);
+        }
+        if (showHeatmap) {
+            this.bloomHeatLayer.setLatLngs(this.getHeatPoints(this.visibleData.bloom));
+            this.map.addLayer(this.bloomHeatLayer);
+            this.updateHeatRadius();
+        } else {
+            this.map.removeLayer(this.bloomHeatLayer);
+        }
+    }
+
+    updateHeatBandwidth(bandwidthKm) {
+        this.bloomModels.bandwidthKm = bandwidthKm;
+        this.updateHeatRadius();
+        if (this.mlModel === 'density-estimation') {
+            this.runMLModel();
+            this.updateStatistics();
+        }
+    }
+
+    updateHeatRadius() {
+        const radius = this.kilometresToPixels(this.bloomModels.bandwidthKm);
+        this.bloomHeatLayer.setOptions({ radius: radius, blur: radius * 0.75 });
+    }
+
+    // Screen size of a ground distance at the map centre, clamped to what the heat canvas can draw
+    kilometresToPixels(kilometres) {
+        const metresPerPixel = 156543.03 * Math.cos(this.map.getCenter().lat * Math.PI / 180) / Math.pow(2, this.map.getZoom());
+        return Math.max(5, Math.min(150, (kilometres * 1000) / metresPerPixel));
+    }
+
+    getHeatPoints(blooms) {
+        return blooms.map(bloom => [bloom.lat, bloom.lng, this.getBloomHeatWeight(bloom)]);
+    }
+
+    // Intensity scaled by area, relative to a 1000 ha bloom
+    getBloomHeatWeight(bloom) {
+        return this.getBloomIndexValue(bloom) * Math.min((bloom.area || 0) / 1000, 1);
+    }
+
+    getHotspotColor(confidence) {
+        const colors = { 99: '#b2182b', 95: '#ef8a62', 90: '#f4a582' };
+        return colors[confidence] || '#f4a582';
+    }
+
+    getHotspotPopup(cluster) {
+        const members = cluster.members.slice().sort((a, b) => b.date - a.date);
+        return `
+            <div class="ml-popup">
+                <h4>Bloom Hotspot (${cluster.confidence}% confidence)</h4>
+                <p><strong>Mean Gi* z-score:</strong> ${cluster.meanZ.toFixed(2)}</p>
+                <p><strong>Dominant Species:</strong> ${this.getSpeciesLink(cluster.dominantSpecies)} (${(cluster.dominantShare * 100).toFixed(0)}%)</p>
+                <p><strong>Total Area:</strong> ${cluster.totalArea.toFixed(1)} hectares</p>
+                <p><strong>Member Blooms (${members.length}):</strong></p>
+                <ul class="hotspot-members">
+                    ${members.map(bloom => `
+                        <li>${this.getSpeciesLink(bloom.species)}, ${bloom.intensity}, ${bloom.date.toLocaleDateString()}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    updateHotspotParameters() {
+        const detector = this.bloomModels.hotspots;
+        detector.radius = parseInt(document.getElementById('hotspotRadius').value);
+        detector.minPoints = parseInt(document.getElementById('hotspotMinPoints').value);
+        detector.significance = parseFloat(document.getElementById('hotspotSignificance').value);
+
+        document.getElementById('hotspotRadiusValue').textContent = `${detector.radius} km`;
+        document.getElementById('hotspotMinPointsValue').textContent = detector.minPoints;
+        if (this.mlModel === 'hotspot-detection') {
+            this.runMLModel();
+            this.updateStatistics();
+        }
+    }
+
+    updateMLSummary() {
+        const summary = document.getElementById('mlSummary');
+        const result = this.mlResult;
+        if (this.mlModel === 'none' || !result) {
+            summary.innerHTML = this.mlModel === 'none' ? '' : '<p class="control-hint">Not enough blooms to train this model.</p>';
+            return;
+        }
+
+        summary.innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">${result.accuracyLabel}:</span>
+                <span class="stat-value">${this.formatOptional(result.accuracy === null ? null : result.accuracy * 100, '%')}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Training / Validation:</span>
+                <span class="stat-value">${result.trainingCount} / ${result.validationCount}</span>
+            </div>
+            ${result.summary.map(entry => `
+                <div class="stat-item">
+                    <span class="stat-label">${entry.label}:</span>
+                    <span class="stat-value">${entry.value}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    updateConfidence(confidence) {
+        console.log('Updating confidence threshold:', confidence);
+        this.filters.confidence = confidence / 100;
+        this.applyFilters();
+    }
+
+    updateOpacity(opacity) {
+        const opacityValue = opacity / 100;
         this.bloomLayer.setOpacity(opacityValue);
         this.citizenLayer.setOpacity(opacityValue);
     }
@@ -779,43 +1687,347 @@ class BloomWatch {
 
     toggleRadarData(show) {
         console.log('Toggling radar data:', show);
-        // In a real implementation, this would toggle radar data layer
+        if (show) {
+            this.map.addLayer(this.radar.layer);
+        } else {
+            this.map.removeLayer(this.radar.layer);
+        }
+        document.getElementById('radarParams').style.display = show ? 'block' : 'none';
+        this.updateLegend();
+    }
+
+    toggleVegetationIndex(show) {
+        console.log('Toggling vegetation index:', show);
+        if (show) {
+            this.map.addLayer(this.vegetation.layer);
+        } else {
+            this.map.removeLayer(this.vegetation.layer);
+            this.updatePixelReadout(null);
+        }
+        document.getElementById('vegetationParams').style.display = show ? 'block' : 'none';
+        this.updateLegend();
+    }
+
+    toggleClimateSurface(show) {
+        if (show) {
+            this.map.addLayer(this.climateSurface.layer);
+            this.renderClimateSurface();
+        } else {
+            this.map.removeLayer(this.climateSurface.layer);
+        }
+        document.getElementById('climateSurfaceParams').style.display = show ? 'block' : 'none';
+        this.updateLegend();
+    }
+
+    // sources are Files or COG URLs for one of the raster layers
+    async loadRasterFiles(rasterLayer, sources) {
+        this.showLoadingSpinner();
+        try {
+            const bounds = await rasterLayer.loadFiles(sources);
+            if (bounds) {
+                this.map.fitBounds(bounds);
+            }
+        } catch (error) {
+            console.error('Error loading raster:', error);
+            alert(`Could not load the raster: ${error.message}`);
+        } finally {
+            this.hideLoadingSpinner();
+            this.updateLegend();
+        }
+    }
+
+    updatePixelReadout(latlng) {
+        const readout = document.getElementById('pixelValue');
+        const value = latlng && this.map.hasLayer(this.vegetation.layer) ? this.vegetation.readout(latlng) : null;
+        readout.textContent = value === null
+            ? ''
+            : `${VegetationIndexLayer.INDICES[this.vegetation.index].label}: ${value.toFixed(3)}`;
     }
 
     togglePredictions(show) {
         console.log('Toggling ML predictions:', show);
-        // In a real implementation, this would toggle ML prediction layer
+        if (show) {
+            this.map.addLayer(this.predictionLayer);
+        } else {
+            this.map.removeLayer(this.predictionLayer);
+        }
+        this.renderPredictionLayer();
+        this.updateLegend();
+    }
+
+    // Next-bloom forecasts for bloom sites and fields in the selected region, from the middle of the time window
+    getBloomForecasts() {
+        const stations = this.climateData.filter(station => station.readings);
+        if (stations.length === 0) return [];
+
+        const reference = this.getPredictionDate();
+        const models = new Map();
+        const nearestModel = record => {
+            let nearest = null;
+            let minDistance = Infinity;
+            stations.forEach(station => {
+                const distance = this.map.distance([record.lat, record.lng], [station.lat, station.lng]);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = station;
+                }
+            });
+            if (!models.has(nearest)) models.set(nearest, this.forecaster.temperatureModel(nearest));
+            return { model: models.get(nearest), distanceKm: minDistance / 1000 };
+        };
+
+        const blooms = this.bloomData.filter(bloom => this.matchesRegion(bloom, this.filters.region));
+        const sites = {};
+        blooms.forEach(bloom => {
+            const site = sites[bloom.region] || (sites[bloom.region] = { id: bloom.region, lat: 0, lng: 0, history: [] });
+            site.lat += bloom.lat;
+            site.lng += bloom.lng;
+            site.history.push({ date: bloom.date, value: this.getBloomIndexValue(bloom) });
+        });
+
+        const siteForecasts = Object.values(sites).map(site => {
+            site.lat /= site.history.length;
+            site.lng /= site.history.length;
+            const { model, distanceKm } = nearestModel(site);
+            const forecast = this.forecaster.forecastSite(site, model, reference, distanceKm);
+            return forecast && Object.assign(forecast, { kind: 'site', name: site.id.replace(/_/g, ' '), lat: site.lat, lng: site.lng });
+        });
+
+        const fieldForecasts = this.agriculturalData
+            .filter(field => this.matchesRegion(field, this.filters.region))
+            .map(field => {
+                const { model, distanceKm } = nearestModel(field);
+                const forecast = this.forecaster.forecastField(field, model, reference,
+                    field => this.cropModel.getBloomTiming(field), distanceKm);
+                return forecast && Object.assign(forecast, { kind: 'field', name: `${field.crop} Field`, lat: field.lat, lng: field.lng });
+            });
+
+        return siteForecasts.concat(fieldForecasts).filter(forecast => forecast !== null);
+    }
+
+    renderPredictionLayer() {
+        this.predictionLayer.clearLayers();
+        if (!this.map.hasLayer(this.predictionLayer)) return;
+
+        // The confidence slider applies to forecasts as it does to detected blooms
+        const allForecasts = this.getBloomForecasts();
+        const forecasts = allForecasts.filter(forecast => forecast.confidence >= this.filters.confidence);
+        document.getElementById('predictionCount').textContent =
+            `${forecasts.length} of ${allForecasts.length} forecasts meet the ${Math.round(this.filters.confidence * 100)}% confidence threshold.`;
+        forecasts.forEach(forecast => {
+            const color = this.getBloomColor(forecast.intensity);
+
+            // The outer ring grows with the forecast's uncertainty window
+            this.predictionLayer.addLayer(L.circleMarker([forecast.lat, forecast.lng], {
+                radius: 10 + Math.min(forecast.uncertaintyDays, 60) / 2,
+                color: color,
+                weight: 1,
+                dashArray: '4 4',
+                fillColor: color,
+                fillOpacity: 0.15,
+                interactive: false
+            }));
+
+            const marker = L.circleMarker([forecast.lat, forecast.lng], {
+                radius: 8,
+                fillColor: color,
+                color: '#6f42c1',
+                weight: 3,
+                opacity: 0.9,
+                fillOpacity: 0.9
+            });
+            marker.bindPopup(`
+                <div class="prediction-popup">
+                    <h4>${this.escapeHTML(forecast.name)}</h4>
+                    <p><strong>Next Bloom:</strong> ${forecast.date.toLocaleDateString()} (±${Math.round(forecast.uncertaintyDays)} days)</p>
+                    <p><strong>Window:</strong> ${forecast.earliest.toLocaleDateString()} - ${forecast.latest.toLocaleDateString()}</p>
+                    <p><strong>Expected Intensity:</strong> ${forecast.intensity}</p>
+                    <p><strong>Confidence:</strong> ${(forecast.confidence * 100).toFixed(0)}%</p>
+                    <p><strong>Heat Requirement:</strong> ${Math.round(forecast.requiredGdd)} GDD</p>
+                    ${forecast.calendarBloom ? `<p><strong>Crop Calendar:</strong> ${forecast.calendarBloom.toLocaleDateString()}</p>` : ''}
+                    <p><strong>Climate Station:</strong> ${this.escapeHTML(forecast.station)} (${Math.round(forecast.distanceKm)} km)</p>
+                </div>
+            `);
+            this.predictionLayer.addLayer(marker);
+        });
+    }
+
+    togglePhenology(show) {
+        if (show) {
+            this.map.addLayer(this.phenologyLayer);
+        } else {
+            this.map.removeLayer(this.phenologyLayer);
+        }
+        this.renderPhenologyLayer();
+        this.updateLegend();
+    }
+
+    updatePhenologyMethod(method) {
+        console.log('Updating phenology method:', method);
+        this.phenologyMethod = method;
+        this.renderPhenologyLayer();
+    }
+
+    updatePhenologyGrouping(grouping) {
+        console.log('Updating phenology grouping:', grouping);
+        this.phenologyGrouping = grouping;
+        this.renderPhenologyLayer();
+    }
+
+    getPhenologySiteKey(record) {
+        if (this.phenologyGrouping === 'grid' || !record.region) {
+            return PhenologyEngine.gridCell(record);
+        }
+        return record.region;
+    }
+
+    getBloomIndexValue(bloom) {
+        if (Number.isFinite(bloom.value)) return bloom.value;
+        // Records with only an intensity class use the middle of its band
+        const levels = DataSourceAdapter.INTENSITIES;
+        return (levels.indexOf(bloom.intensity) + 0.5) / levels.length;
+    }
+
+    // Phenology ignores the time window so every site keeps its full multi-year series
+    computePhenology(blooms) {
+        return this.phenology.computeSites(blooms, {
+            siteOf: bloom => this.getPhenologySiteKey(bloom),
+            valueOf: bloom => this.getBloomIndexValue(bloom),
+            method: this.phenologyMethod
+        });
+    }
+
+    renderPhenologyLayer() {
+        this.phenologyLayer.clearLayers();
+        if (!this.map.hasLayer(this.phenologyLayer)) return;
+
+        const blooms = this.bloomData.filter(bloom => this.matchesRegion(bloom, this.filters.region));
+        this.computePhenology(blooms).forEach(site => {
+            const marker = L.circleMarker([site.lat, site.lng], {
+                radius: 12,
+                fillColor: PhenologyEngine.colorForDay(site.pos),
+                color: '#fff',
+                weight: 2,
+                opacity: 0.9,
+                fillOpacity: 0.8
+            });
+
+            marker.bindPopup(`
+                <div class="phenology-popup">
+                    <h4>${this.escapeHTML(site.id.replace(/_/g, ' '))}</h4>
+                    ${this.getPhenologyDetails(site)}
+                </div>
+            `);
+
+            this.phenologyLayer.addLayer(marker);
+        });
+    }
+
+    getPhenologyDetails(site) {
+        const formatDay = day => `${PhenologyEngine.formatDayOfYear(day)} (day ${day})`;
+        return `
+            <p><strong>Start of Season:</strong> ${formatDay(site.sos)}</p>
+            <p><strong>Peak Bloom:</strong> ${formatDay(site.pos)}</p>
+            <p><strong>End of Season:</strong> ${formatDay(site.eos)}</p>
+            <p><strong>Season Length:</strong> ${site.los} days</p>
+            <p><strong>Method:</strong> ${site.method === 'derivative' ? 'Derivative' : 'Threshold'}, ${site.observations} observations</p>
+        `;
+    }
+
+    toggleAnomalies(show) {
+        if (show) {
+            this.map.addLayer(this.anomalyLayer);
+        } else {
+            this.map.removeLayer(this.anomalyLayer);
+        }
+        this.renderAnomalyLayer();
+        this.updateLegend();
+    }
+
+    // The baseline spans every loaded bloom and is rebuilt only when the bloom data changes
+    getAnomalyBaseline() {
+        if (!this.anomalyBaseline || this.anomalyBaseline.source !== this.bloomData ||
+            this.anomalyBaseline.length !== this.bloomData.length) {
+            this.anomalyBaseline = {
+                source: this.bloomData,
+                length: this.bloomData.length,
+                baseline: this.anomalyDetector.buildBaseline(this.bloomData, {
+                    groupsOf: bloom => [`${bloom.region}|${bloom.species}`, bloom.region],
+                    valueOf: bloom => this.getBloomIndexValue(bloom)
+                })
+            };
+        }
+        return this.anomalyBaseline.baseline;
+    }
+
+    // Anomalies of the blooms passing the current filters, including the time window
+    getBloomAnomalies(blooms = this.getFilteredBloomData()) {
+        const baseline = this.getAnomalyBaseline();
+        return blooms
+            .map(bloom => this.anomalyDetector.detect(bloom, baseline))
+            .filter(anomaly => anomaly !== null);
+    }
+
+    renderAnomalyLayer() {
+        this.anomalyLayer.clearLayers();
+        if (!this.map.hasLayer(this.anomalyLayer)) return;
+
+        this.getBloomAnomalies().forEach(anomaly => {
+            const bloom = anomaly.record;
+            const marker = L.circleMarker([bloom.lat, bloom.lng], {
+                radius: 6 + Math.min(Math.abs(anomaly.intensityScore), 3) * 2,
+                fillColor: BloomAnomalyDetector.colorForDays(anomaly.daysFromNormal),
+                color: anomaly.significant ? '#1f2937' : '#fff',
+                weight: 2,
+                opacity: 0.9,
+                fillOpacity: 0.85
+            });
+
+            const [site, species] = anomaly.baseline.key.split('|');
+            marker.bindPopup(`
+                <div class="anomaly-popup">
+                    <h4>${this.getSpeciesLink(bloom.species)}</h4>
+                    <p><strong>Date:</strong> ${bloom.date.toLocaleDateString()}</p>
+                    <p><strong>Timing:</strong> ${this.formatDaysFromNormal(anomaly.daysFromNormal)}</p>
+                    <p><strong>Intensity Deviation:</strong> ${this.formatSigned(anomaly.intensityDeviation, 2)} (${this.formatSigned(anomaly.intensityScore, 1)}σ)</p>
+                    <p><strong>Baseline:</strong> ${this.escapeHTML(site.replace(/_/g, ' '))}, ${species ? this.getSpeciesLink(species) : 'all species'}</p>
+                    <p><strong>Baseline Peak:</strong> ${PhenologyEngine.formatDayOfYear(Math.round(anomaly.baseline.meanDay))} ± ${anomaly.baseline.daySpread.toFixed(0)} days</p>
+                    <p><strong>History:</strong> ${anomaly.baseline.count} records over ${anomaly.baseline.years} other years</p>
+                </div>
+            `);
+
+            this.anomalyLayer.addLayer(marker);
+        });
+    }
+
+    formatDaysFromNormal(days) {
+        const rounded = Math.round(days);
+        if (rounded === 0) return 'On time';
+        return `${Math.abs(rounded)} day${Math.abs(rounded) === 1 ? '' : 's'} ${rounded < 0 ? 'early' : 'late'}`;
+    }
+
+    formatSigned(value, digits) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
     }
 
     setupTimeAnimation() {
-        this.timeData = this.generateTimeData();
         this.animationInterval = null;
         this.updateTimeLabels();
     }
 
-    generateTimeData() {
-        // Generate comprehensive time series data for animation
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        return months.map((month, index) => ({
-            month: month,
-            index: index,
-            year: this.currentYear,
-            blooms: this.bloomData.filter(() => Math.random() > 0.3),
-            climate: this.climateData.filter(() => Math.random() > 0.4),
-            agricultural: this.agriculturalData.filter(() => Math.random() > 0.5)
-        }));
-    }
-
     updateTimeLabels() {
         const timeStart = document.getElementById('timeStart');
         const timeEnd = document.getElementById('timeEnd');
+        const timeCurrent = document.getElementById('timeCurrent');
         const slider = document.getElementById('timeSlider');
+        const lastIndex = Math.max(this.timeData.length - 1, 0);
+        const selected = this.filters.timeIndex !== null ? this.timeData[this.filters.timeIndex] : null;
         
-        timeStart.textContent = `Jan ${this.currentYear}`;
-        timeEnd.textContent = `Dec ${this.currentYear}`;
-        slider.max = this.timeData.length - 1;
-        slider.value = this.timeData.length - 1;
+        timeStart.textContent = this.timeData.length ? this.timeData[0].label : '';
+        timeEnd.textContent = this.timeData.length ? this.timeData[lastIndex].label : '';
+        timeCurrent.textContent = selected ? selected.label : 'All dates in range';
+        slider.max = lastIndex;
+        slider.value = selected ? selected.index : lastIndex;
     }
 
     addRegionControls() {
@@ -836,54 +2048,138 @@ class BloomWatch {
                     <option value="africa">Africa</option>
                     <option value="south-america">South America</option>
                     <option value="australia">Australia</option>
+                    <optgroup label="Saved Areas" id="savedAreas"></optgroup>
                 </select>
             </div>
+            <div class="control-group">
+                <label>Area of Interest:</label>
+                <p class="control-hint">Draw a rectangle or polygon with the map tools, or upload a GeoJSON polygon.</p>
+                <div class="aoi-actions">
+                    <label for="aoiFile" class="aoi-btn"><i class="fas fa-upload"></i> Upload Area</label>
+                    <input type="file" id="aoiFile" accept=".json,.geojson" hidden>
+                    <button class="aoi-btn" id="deleteAoiBtn" disabled><i class="fas fa-trash"></i> Delete Area</button>
+                </div>
+            </div>
         `;
         
         // Insert after the first control section
         controlPanel.insertBefore(regionSection, controlPanel.children[1]);
+        this.populateSavedAreas();
         
         // Add event listener for region selection
         document.getElementById('regionSelect').addEventListener('change', (e) => {
             this.updateRegion(e.target.value);
         });
+
+        document.getElementById('aoiFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.uploadAreaOfInterest(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('deleteAoiBtn').addEventListener('click', () => {
+            this.deleteAreaOfInterest(this.selectedRegion);
+        });
+    }
+
+    populateSavedAreas() {
+        const group = document.getElementById('savedAreas');
+        group.innerHTML = this.areasOfInterest.areas.map(area =>
+            `<option value="${area.id}">${this.escapeHTML(area.name)}</option>`
+        ).join('');
+        // Hide the group label while there are no saved areas
+        group.style.display = this.areasOfInterest.areas.length ? '' : 'none';
+    }
+
+    saveAreaOfInterest(geometry) {
+        const defaultName = `Area ${this.areasOfInterest.areas.length + 1}`;
+        const name = prompt('Name this area of interest:', defaultName);
+        if (name === null) return;
+
+        const area = this.areasOfInterest.add(name.trim() || defaultName, geometry);
+        this.populateSavedAreas();
+        this.selectRegion(area.id);
+    }
+
+    async uploadAreaOfInterest(file) {
+        try {
+            const geometry = this.areasOfInterest.parseGeoJSON(await file.text());
+            const name = file.name.replace(/\.(geo)?json$/i, '');
+            const area = this.areasOfInterest.add(name, geometry);
+            this.populateSavedAreas();
+            this.selectRegion(area.id);
+        } catch (error) {
+            console.error('Failed to load area of interest:', file.name, error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    deleteAreaOfInterest(id) {
+        const area = this.areasOfInterest.get(id);
+        if (!area || !confirm(`Delete area "${area.name}"?`)) return;
+
+        this.areasOfInterest.remove(id);
+        this.populateSavedAreas();
+        this.selectRegion('global');
+    }
+
+    selectRegion(region) {
+        document.getElementById('regionSelect').value = region;
+        this.updateRegion(region);
     }
 
     updateRegion(region) {
         this.selectedRegion = region;
-        const regionViews = {
-            'global': { center: [20.0, 77.0], zoom: 3 },
-            'india': { center: [20.0, 77.0], zoom: 5 },
-            'usa': { center: [39.8283, -98.5795], zoom: 4 },
-            'europe': { center: [54.5260, 15.2551], zoom: 4 },
-            'asia': { center: [35.8617, 104.1954], zoom: 4 },
-            'africa': { center: [-8.7832, 34.5085], zoom: 4 },
-            'south-america': { center: [-14.2350, -51.9253], zoom: 4 },
-            'australia': { center: [-25.2744, 133.7751], zoom: 4 }
-        };
-        
-        const view = regionViews[region];
-        this.map.setView(view.center, view.zoom);
+        this.filters.region = region;
+
+        const bounds = this.regionBoundaries.getBounds(region);
+        if (bounds) {
+            this.map.fitBounds(bounds);
+        } else {
+            this.map.setView([20.0, 77.0], 3);
+        }
+        this.renderRegionOutline(region);
+        document.getElementById('deleteAoiBtn').disabled = !this.areasOfInterest.isArea(region);
         
         // Filter data based on region
         this.filterDataByRegion(region);
     }
 
+    renderRegionOutline(region) {
+        this.regionOutlineLayer.clearLayers();
+        if (!this.regionBoundaries.has(region)) return;
+
+        const isArea = this.areasOfInterest.isArea(region);
+        L.geoJSON(this.regionBoundaries.regions[region].geometry, {
+            interactive: false,
+            style: {
+                color: isArea ? '#9c27b0' : '#e91e63',
+                weight: 2,
+                dashArray: isArea ? null : '6 4',
+                fillOpacity: 0.05
+            }
+        }).addTo(this.regionOutlineLayer);
+    }
+
     filterDataByRegion(region) {
-        // In a real implementation, this would filter data based on the selected region
         console.log('Filtering data for region:', region);
-        this.renderBloomData();
+        this.applyFilters();
         this.renderCitizenData();
         this.renderClimateData();
         this.renderAgriculturalData();
+        this.renderPhenologyLayer();
+        this.updateAgriculturalInsights();
     }
 
     updateEcosystemIndicators() {
-        // Calculate ecosystem health indicators
-        const totalBlooms = this.bloomData.length;
-        const superblooms = this.bloomData.filter(b => b.type === 'superbloom').length;
-        const avgEcosystemHealth = this.bloomData.reduce((sum, b) => sum + b.ecosystemHealth, 0) / totalBlooms;
-        const avgClimateImpact = this.bloomData.reduce((sum, b) => sum + b.climateImpact, 0) / totalBlooms;
+        // Calculate ecosystem health indicators for the filtered blooms
+        const blooms = this.getFilteredBloomData();
+        const anomalies = this.getBloomAnomalies(blooms);
+        const totalBlooms = blooms.length;
+        const superblooms = blooms.filter(b => b.type === 'superbloom').length;
+        const avgEcosystemHealth = totalBlooms ? blooms.reduce((sum, b) => sum + b.ecosystemHealth, 0) / totalBlooms : 0;
+        const avgClimateImpact = totalBlooms ? blooms.reduce((sum, b) => sum + b.climateImpact, 0) / totalBlooms : 0;
         
         // Update ecosystem indicators in the UI
         this.updateEcosystemDisplay({
@@ -891,59 +2187,148 @@ class BloomWatch {
             superblooms,
             ecosystemHealth: avgEcosystemHealth,
             climateImpact: avgClimateImpact,
-            biodiversityIndex: this.calculateBiodiversityIndex(),
-            climateCorrelation: this.calculateClimateCorrelation()
+            biodiversity: this.biodiversity.summarize(this.getBiodiversityRecords()),
+            climateCorrelation: this.getClimateCorrelation(blooms, anomalies),
+            anomalies: this.anomalyDetector.summarize(anomalies)
         });
     }
 
     updateAgriculturalInsights() {
-        // Calculate agricultural insights
-        const totalFields = this.agriculturalData.length;
-        const avgYield = this.agriculturalData.reduce((sum, f) => sum + f.harvestPrediction, 0) / totalFields;
-        const avgSoilMoisture = this.agriculturalData.reduce((sum, f) => sum + f.soilMoisture, 0) / totalFields;
-        const pestPressure = this.agriculturalData.reduce((sum, f) => sum + f.pestPressure, 0) / totalFields;
+        // Calculate agricultural insights for the fields in the selected region
+        const fields = this.getFilteredAgriculturalData();
+        const totalFields = fields.length;
+        const average = (key) => totalFields ? fields.reduce((sum, f) => sum + f[key], 0) / totalFields : 0;
+        const crops = this.getCropBreakdown(fields);
         
         // Update agricultural insights in the UI
         this.updateAgriculturalDisplay({
             totalFields,
-            avgYield,
-            avgSoilMoisture,
-            pestPressure,
-            harvestPrediction: this.predictOverallHarvest(),
-            cropDiversity: this.calculateCropDiversity()
+            avgSoilMoisture: average('soilMoisture'),
+            pestPressure: average('pestPressure'),
+            // Crops differ too much in t/ha to average, so the overall figure is relative to typical yields
+            yieldVsTypical: totalFields ? crops.reduce((sum, crop) => sum + crop.vsTypical * crop.fields, 0) / totalFields : null,
+            crops,
+            cropDiversity: this.calculateCropDiversity(fields)
         });
     }
 
-    calculateBiodiversityIndex() {
-        const speciesCount = new Set(this.bloomData.map(b => b.species)).size;
-        const countryCount = new Set(this.bloomData.map(b => b.country)).size;
-        return (speciesCount * countryCount) / 100; // Normalized index
+    // Satellite blooms and validated observations passing the filters, in any region or area
+    getBiodiversityRecords(region = this.filters.region) {
+        const blooms = this.filterByTimeWindow(this.bloomData, 'date').filter(bloom => this.matchesBloomFilters(bloom, region));
+        const observations = this.filterByTimeWindow(this.citizenData, 'date')
+            .filter(observation => observation.validated && this.matchesRegion(observation, region));
+        return blooms.concat(observations);
+    }
+
+    // The selected region first, then every other region and saved area with records
+    getRegionalBiodiversity() {
+        const regions = [this.selectedRegion].concat(['global'], Object.keys(this.regionBoundaries.regions))
+            .filter((region, index, list) => list.indexOf(region) === index);
+        return regions
+            .map(region => Object.assign({ region, name: this.getRegionName(region) }, this.biodiversity.summarize(this.getBiodiversityRecords(region))))
+            .filter(entry => entry.region === this.selectedRegion || entry.individuals > 0);
+    }
+
+    // Blooms joined to their nearest station, rebuilt only when the bloom or climate data changes
+    getClimateJoin() {
+        const join = this.climateJoin;
+        if (!join || join.blooms !== this.bloomData || join.bloomCount !== this.bloomData.length ||
+            join.stations !== this.climateData || join.stationCount !== this.climateData.length) {
+            const pairs = this.climateCorrelation.join(this.bloomData, this.climateData);
+            this.climateJoin = {
+                blooms: this.bloomData,
+                bloomCount: this.bloomData.length,
+                stations: this.climateData,
+                stationCount: this.climateData.length,
+                byBloom: new Map(pairs.map(pair => [pair.bloom, pair]))
+            };
+        }
+        return this.climateJoin.byBloom;
+    }
+
+    getClimatePairs(blooms) {
+        const byBloom = this.getClimateJoin();
+        return blooms.map(bloom => byBloom.get(bloom)).filter(Boolean);
+    }
+
+    // Timing comes from the anomalies, so only blooms with a baseline have one
+    getClimateResponses(anomalies) {
+        const timing = new Map(anomalies.map(anomaly => [anomaly.record, anomaly.daysFromNormal]));
+        return {
+            intensity: bloom => this.getBloomIndexValue(bloom),
+            timing: bloom => timing.has(bloom) ? timing.get(bloom) : null
+        };
+    }
+
+    getClimateCorrelation(blooms, anomalies) {
+        return this.climateCorrelation.analyze(this.getClimatePairs(blooms), this.getClimateResponses(anomalies));
+    }
+
+    // Over every bloom joined to the station, whatever the filters
+    getStationCorrelation(station) {
+        const pairs = [];
+        this.getClimateJoin().forEach(pair => {
+            if (pair.station.id === station.id) pairs.push(pair);
+        });
+        const { xs, ys } = this.climateCorrelation.getSeries(pairs, 'temperature', bloom => this.getBloomIndexValue(bloom));
+        return this.climateCorrelation.correlate(xs, ys);
     }
 
-    calculateClimateCorrelation() {
-        const bloomCount = this.bloomData.length;
-        const climateCount = this.climateData.length;
-        return Math.min(bloomCount / climateCount, 1.0);
+    formatCorrelation(result) {
+        if (result.pearson === null) return `n/a (${result.n} blooms)`;
+        return `r = ${this.formatSigned(result.pearson, 2)}, ρ = ${this.formatSigned(result.spearman, 2)} (${result.n} blooms)`;
     }
 
-    calculateCropDiversity() {
-        const cropCount = new Set(this.agriculturalData.map(f => f.crop)).size;
-        const countryCount = new Set(this.agriculturalData.map(f => f.country)).size;
+    calculateCropDiversity(fields = this.agriculturalData) {
+        const cropCount = new Set(fields.map(f => f.crop)).size;
+        const countryCount = new Set(fields.map(f => f.country)).size;
         return cropCount * countryCount;
     }
 
-    predictOverallHarvest() {
-        const totalYield = this.agriculturalData.reduce((sum, f) => sum + f.harvestPrediction, 0);
-        const avgYield = totalYield / this.agriculturalData.length;
-        return avgYield * (0.9 + Math.random() * 0.2); // 90-110% of average
+    // Mean predicted yield and mean effect of each driver per crop, most planted first
+    getCropBreakdown(fields) {
+        const crops = {};
+        fields.forEach(field => {
+            const prediction = this.getYieldPrediction(field);
+            const crop = crops[field.crop] || (crops[field.crop] = { crop: field.crop, fields: 0, value: 0, vsTypical: 0, drivers: {} });
+            crop.fields++;
+            crop.value += prediction.value;
+            crop.vsTypical += prediction.value / prediction.base - 1;
+            prediction.drivers.forEach(driver => {
+                crop.drivers[driver.name] = (crop.drivers[driver.name] || 0) + driver.factor - 1;
+            });
+        });
+        return Object.values(crops).map(crop => {
+            Object.keys(crop.drivers).forEach(name => {
+                crop.drivers[name] /= crop.fields;
+            });
+            return Object.assign(crop, { value: crop.value / crop.fields, vsTypical: crop.vsTypical / crop.fields });
+        }).sort((a, b) => b.fields - a.fields || a.crop.localeCompare(b.crop));
+    }
+
+    formatEffect(effect) {
+        return `${this.formatSigned(effect * 100, 0)}%`;
     }
 
     updateEcosystemDisplay(indicators) {
-        // Update ecosystem indicators in the statistics section
-        const ecosystemStats = document.createElement('div');
-        ecosystemStats.className = 'ecosystem-indicators';
+        // Add or update ecosystem indicators in the statistics section
+        let ecosystemStats = document.querySelector('.ecosystem-indicators');
+        if (!ecosystemStats) {
+            ecosystemStats = document.createElement('div');
+            ecosystemStats.className = 'ecosystem-indicators';
+            // The content is rebuilt on every update, so the button is handled here
+            ecosystemStats.addEventListener('click', (e) => {
+                if (e.target.closest('#openCorrelationPlot')) this.openCorrelationModal();
+                if (e.target.closest('#openBiodiversityPanel')) this.openBiodiversityModal();
+            });
+            const statistics = document.querySelector('.statistics');
+            if (statistics) {
+                statistics.appendChild(ecosystemStats);
+            }
+        }
+
         ecosystemStats.innerHTML = `
-            <h3><i class="fas fa-leaf"></i> Ecosystem Indicators</h3>
+            <h3><i class="fas fa-leaf"></i> Ecosystem Indicators: ${this.escapeHTML(this.getRegionName(this.selectedRegion))}</h3>
             <div class="stat-item">
                 <span class="stat-label">Ecosystem Health:</span>
                 <span class="stat-value">${(indicators.ecosystemHealth * 100).toFixed(1)}%</span>
@@ -952,37 +2337,271 @@ class BloomWatch {
                 <span class="stat-label">Climate Impact:</span>
                 <span class="stat-value">${(indicators.climateImpact * 100).toFixed(1)}%</span>
             </div>
+            <h4>Biodiversity</h4>
+            <div class="stat-item">
+                <span class="stat-label">Species (Chao1 Estimate):</span>
+                <span class="stat-value">${indicators.biodiversity.richness} (${this.formatOptional(indicators.biodiversity.chao1, '', 1)})</span>
+            </div>
             <div class="stat-item">
-                <span class="stat-label">Biodiversity Index:</span>
-                <span class="stat-value">${indicators.biodiversityIndex.toFixed(2)}</span>
+                <span class="stat-label">Shannon H′:</span>
+                <span class="stat-value">${this.formatOptional(indicators.biodiversity.shannon, '', 2)}</span>
             </div>
             <div class="stat-item">
-                <span class="stat-label">Climate Correlation:</span>
-                <span class="stat-value">${(indicators.climateCorrelation * 100).toFixed(1)}%</span>
+                <span class="stat-label">Simpson 1 − D:</span>
+                <span class="stat-value">${this.formatOptional(indicators.biodiversity.simpson, '', 3)}</span>
+            </div>
+            <div class="aoi-actions">
+                <button class="aoi-btn" id="openBiodiversityPanel"><i class="fas fa-chart-area"></i> Rarefaction</button>
             </div>
+            <h4>Climate Correlation</h4>
+            ${this.getCorrelationTable(indicators.climateCorrelation)}
+            <div class="aoi-actions">
+                <button class="aoi-btn" id="openCorrelationPlot"><i class="fas fa-chart-line"></i> Scatter Plot</button>
+            </div>
+            <h4>Compared with Baseline</h4>
+            ${indicators.anomalies ? `
+                <div class="stat-item">
+                    <span class="stat-label">Bloom Timing:</span>
+                    <span class="stat-value">${this.formatDaysFromNormal(indicators.anomalies.daysFromNormal)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Intensity Deviation:</span>
+                    <span class="stat-value">${this.formatSigned(indicators.anomalies.intensityDeviation, 2)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Early / Late Blooms:</span>
+                    <span class="stat-value">${indicators.anomalies.early} / ${indicators.anomalies.late}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Blooms with Baseline:</span>
+                    <span class="stat-value">${indicators.anomalies.count} of ${indicators.totalBlooms}</span>
+                </div>
+            ` : '<p class="control-hint">Not enough multi-year history for these blooms.</p>'}
         `;
-        
-        // Add to statistics section
-        const statistics = document.querySelector('.statistics');
-        if (statistics) {
-            statistics.appendChild(ecosystemStats);
+    }
+
+    getCorrelationTable(correlation) {
+        const radius = this.climateCorrelation.radiusKm;
+        if (correlation.count === 0) {
+            return `<p class="control-hint">No blooms within ${radius} km of a climate station.</p>`;
+        }
+        const responses = Object.keys(ClimateCorrelation.RESPONSES);
+        const cell = result => result.pearson === null ? '<td>n/a</td>'
+            : `<td${result.significant ? ' class="significant"' : ''}>${this.formatSigned(result.pearson, 2)} / ${this.formatSigned(result.spearman, 2)}</td>`;
+        return `
+            <table class="correlation-table">
+                <thead>
+                    <tr><th></th>${responses.map(response => `<th>${ClimateCorrelation.RESPONSES[response].label.replace('Bloom ', '')} r / ρ</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(ClimateCorrelation.VARIABLES).map(variable => `
+                        <tr><td>${ClimateCorrelation.VARIABLES[variable].label}</td>${responses.map(response => cell(correlation.variables[variable][response])).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="control-hint">Pearson r and Spearman ρ over ${correlation.count.toLocaleString()} blooms within ${radius} km of a station; highlighted values are significant at 95%.</p>
+        `;
+    }
+
+    setupCorrelationModal() {
+        const variable = document.getElementById('correlationVariable');
+        variable.innerHTML = Object.keys(ClimateCorrelation.VARIABLES).map(key =>
+            `<option value="${key}">${ClimateCorrelation.VARIABLES[key].label}</option>`
+        ).join('');
+        const response = document.getElementById('correlationResponse');
+        response.innerHTML = Object.keys(ClimateCorrelation.RESPONSES).map(key =>
+            `<option value="${key}">${ClimateCorrelation.RESPONSES[key].label}</option>`
+        ).join('');
+
+        [variable, response].forEach(select => {
+            select.addEventListener('change', () => {
+                this.renderCorrelationPlot();
+            });
+        });
+
+        document.getElementById('closeCorrelationModal').addEventListener('click', () => {
+            this.closeCorrelationModal();
+        });
+    }
+
+    openCorrelationModal() {
+        document.getElementById('correlationHint').textContent =
+            `Blooms passing the current filters, paired with the nearest climate station within ${this.climateCorrelation.radiusKm} km and its reading for the bloom's month.`;
+        this.renderCorrelationPlot();
+        document.getElementById('correlationModal').classList.add('open');
+    }
+
+    closeCorrelationModal() {
+        document.getElementById('correlationModal').classList.remove('open');
+    }
+
+    renderCorrelationPlot() {
+        const variable = document.getElementById('correlationVariable').value;
+        const response = document.getElementById('correlationResponse').value;
+        const blooms = this.getFilteredBloomData();
+        const responseOf = this.getClimateResponses(this.getBloomAnomalies(blooms))[response];
+        const { xs, ys } = this.climateCorrelation.getSeries(this.getClimatePairs(blooms), variable, responseOf);
+        const result = this.climateCorrelation.correlate(xs, ys);
+        const xInfo = ClimateCorrelation.VARIABLES[variable];
+        const yInfo = ClimateCorrelation.RESPONSES[response];
+
+        document.getElementById('correlationSummary').textContent = `${xInfo.label} vs ${yInfo.label}: ${this.formatCorrelation(result)}${result.significant ? ', significant at 95%' : ''}`;
+        document.getElementById('correlationPlot').innerHTML = xs.length >= 3 ? this.getScatterSVG(xs, ys, xInfo, yInfo) : '';
+    }
+
+    // Large selections are thinned to an even sample so the SVG stays light; the fit uses every point
+    getScatterSVG(xs, ys, xInfo, yInfo) {
+        const width = 500;
+        const height = 320;
+        const margin = { top: 15, right: 15, bottom: 45, left: 55 };
+        const extent = values => {
+            const min = values.reduce((low, value) => Math.min(low, value), Infinity);
+            const max = values.reduce((high, value) => Math.max(high, value), -Infinity);
+            return min === max ? [min - 1, max + 1] : [min, max];
+        };
+        const [minX, maxX] = extent(xs);
+        const [minY, maxY] = extent(ys);
+        const x = value => margin.left + (value - minX) / (maxX - minX) * (width - margin.left - margin.right);
+        const y = value => height - margin.bottom - (value - minY) / (maxY - minY) * (height - margin.top - margin.bottom);
+
+        const step = Math.max(1, Math.ceil(xs.length / 2000));
+        const points = [];
+        for (let i = 0; i < xs.length; i += step) {
+            points.push(`<circle cx="${x(xs[i]).toFixed(1)}" cy="${y(ys[i]).toFixed(1)}" r="2.5"></circle>`);
         }
+        const line = ClimateCorrelation.fit(xs, ys);
+        const clampY = value => Math.min(Math.max(value, minY), maxY);
+        const format = value => Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2);
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${xInfo.label} against ${yInfo.label}">
+                <g stroke="#9ca3af">
+                    <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}"></line>
+                    <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}"></line>
+                </g>
+                <g fill="#e91e63" fill-opacity="0.4">${points.join('')}</g>
+                <line x1="${x(minX)}" y1="${y(clampY(line.intercept + line.slope * minX))}" x2="${x(maxX)}" y2="${y(clampY(line.intercept + line.slope * maxX))}" stroke="#1f2937" stroke-width="2"></line>
+                <g font-size="11" fill="#6b7280">
+                    <text x="${margin.left}" y="${height - margin.bottom + 15}" text-anchor="start">${format(minX)}</text>
+                    <text x="${width - margin.right}" y="${height - margin.bottom + 15}" text-anchor="end">${format(maxX)}</text>
+                    <text x="${margin.left - 5}" y="${height - margin.bottom}" text-anchor="end">${format(minY)}</text>
+                    <text x="${margin.left - 5}" y="${margin.top + 10}" text-anchor="end">${format(maxY)}</text>
+                </g>
+                <g font-size="12" fill="#374151">
+                    <text x="${(margin.left + width - margin.right) / 2}" y="${height - 10}" text-anchor="middle">${xInfo.label} (${xInfo.unit})</text>
+                    <text transform="translate(15 ${(margin.top + height - margin.bottom) / 2}) rotate(-90)" text-anchor="middle">${yInfo.label} (${yInfo.unit})</text>
+                </g>
+            </svg>
+        `;
+    }
+
+    setupBiodiversityModal() {
+        document.getElementById('closeBiodiversityModal').addEventListener('click', () => {
+            this.closeBiodiversityModal();
+        });
+    }
+
+    openBiodiversityModal() {
+        document.getElementById('biodiversityHint').textContent =
+            `Satellite blooms passing the current filters and validated citizen observations, ${this.getTimeWindowLabel(this.getTimeWindow())}. Each record counts as one individual of its species.`;
+        this.renderBiodiversity();
+        document.getElementById('biodiversityModal').classList.add('open');
+    }
+
+    closeBiodiversityModal() {
+        document.getElementById('biodiversityModal').classList.remove('open');
+    }
+
+    renderBiodiversity() {
+        const entries = this.getRegionalBiodiversity();
+        const colors = ['#e91e63', '#1f77b4', '#2ca02c', '#ff7f0e', '#9467bd', '#17becf', '#8c564b', '#bcbd22'];
+        const curves = entries.slice(0, colors.length).map((entry, i) => ({
+            name: entry.name,
+            color: colors[i],
+            points: this.biodiversity.rarefy(entry.counts)
+        }));
+
+        document.getElementById('biodiversityTable').innerHTML = `
+            <table class="correlation-table">
+                <thead>
+                    <tr><th>Region</th><th>N</th><th>S</th><th>Chao1</th><th>H′</th><th>J′</th><th>1 − D</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map((entry, i) => `
+                        <tr${entry.region === this.selectedRegion ? ' class="significant"' : ''}>
+                            <td>${i < curves.length ? `<span class="curve-swatch" style="background: ${curves[i].color}"></span>` : ''}${this.escapeHTML(entry.name)}</td>
+                            <td>${entry.individuals.toLocaleString()}</td>
+                            <td>${entry.richness}</td>
+                            <td>${this.formatOptional(entry.chao1, '', 1)}</td>
+                            <td>${this.formatOptional(entry.shannon, '', 2)}</td>
+                            <td>${this.formatOptional(entry.evenness, '', 2)}</td>
+                            <td>${this.formatOptional(entry.simpson, '', 3)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="control-hint">N records, S species observed, Chao1 estimated species, Shannon H′, Pielou evenness J′ and Simpson 1 − D.</p>
+        `;
+        document.getElementById('rarefactionPlot').innerHTML = curves.some(curve => curve.points.length > 1)
+            ? this.getRarefactionSVG(curves)
+            : '<p class="control-hint">Not enough records for rarefaction curves.</p>';
+    }
+
+    // Curves that flatten out have been sampled enough to show most of their species
+    getRarefactionSVG(curves) {
+        const width = 500;
+        const height = 320;
+        const margin = { top: 15, right: 15, bottom: 45, left: 55 };
+        const maxX = curves.reduce((max, curve) => curve.points.reduce((high, point) => Math.max(high, point.size), max), 1);
+        const maxY = curves.reduce((max, curve) => curve.points.reduce((high, point) => Math.max(high, point.species), max), 1);
+        const x = value => margin.left + value / maxX * (width - margin.left - margin.right);
+        const y = value => height - margin.bottom - value / maxY * (height - margin.top - margin.bottom);
+
+        const lines = curves.map(curve => {
+            const path = [{ size: 0, species: 0 }].concat(curve.points)
+                .map(point => `${x(point.size).toFixed(1)},${y(point.species).toFixed(1)}`).join(' ');
+            return `<polyline points="${path}" fill="none" stroke="${curve.color}" stroke-width="2"><title>${this.escapeHTML(curve.name)}</title></polyline>`;
+        });
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Rarefaction curves">
+                <g stroke="#9ca3af">
+                    <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}"></line>
+                    <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}"></line>
+                </g>
+                ${lines.join('')}
+                <g font-size="11" fill="#6b7280">
+                    <text x="${margin.left}" y="${height - margin.bottom + 15}" text-anchor="start">0</text>
+                    <text x="${width - margin.right}" y="${height - margin.bottom + 15}" text-anchor="end">${maxX.toLocaleString()}</text>
+                    <text x="${margin.left - 5}" y="${height - margin.bottom}" text-anchor="end">0</text>
+                    <text x="${margin.left - 5}" y="${margin.top + 10}" text-anchor="end">${maxY.toFixed(0)}</text>
+                </g>
+                <g font-size="12" fill="#374151">
+                    <text x="${(margin.left + width - margin.right) / 2}" y="${height - 10}" text-anchor="middle">Records Sampled</text>
+                    <text transform="translate(15 ${(margin.top + height - margin.bottom) / 2}) rotate(-90)" text-anchor="middle">Expected Species</text>
+                </g>
+            </svg>
+        `;
     }
 
     updateAgriculturalDisplay(insights) {
-        // Update agricultural insights in the statistics section
-        const agriculturalStats = document.createElement('div');
-        agriculturalStats.className = 'agricultural-insights';
+        // Add or update agricultural insights in the statistics section
+        let agriculturalStats = document.querySelector('.agricultural-insights');
+        if (!agriculturalStats) {
+            agriculturalStats = document.createElement('div');
+            agriculturalStats.className = 'agricultural-insights';
+            const statistics = document.querySelector('.statistics');
+            if (statistics) {
+                statistics.appendChild(agriculturalStats);
+            }
+        }
+
         agriculturalStats.innerHTML = `
             <h3><i class="fas fa-seedling"></i> Agricultural Insights</h3>
             <div class="stat-item">
                 <span class="stat-label">Total Fields:</span>
                 <span class="stat-value">${insights.totalFields}</span>
             </div>
-            <div class="stat-item">
-                <span class="stat-label">Avg Yield:</span>
-                <span class="stat-value">${insights.avgYield.toFixed(1)} t/ha</span>
-            </div>
             <div class="stat-item">
                 <span class="stat-label">Soil Moisture:</span>
                 <span class="stat-value">${insights.avgSoilMoisture.toFixed(1)}%</span>
@@ -992,20 +2611,33 @@ class BloomWatch {
                 <span class="stat-value">${insights.pestPressure.toFixed(1)}%</span>
             </div>
             <div class="stat-item">
-                <span class="stat-label">Harvest Prediction:</span>
-                <span class="stat-value">${insights.harvestPrediction.toFixed(1)} t/ha</span>
+                <span class="stat-label">Yield vs Typical:</span>
+                <span class="stat-value">${insights.yieldVsTypical === null ? 'n/a' : this.formatEffect(insights.yieldVsTypical)}</span>
             </div>
             <div class="stat-item">
                 <span class="stat-label">Crop Diversity:</span>
                 <span class="stat-value">${insights.cropDiversity}</span>
             </div>
+            ${insights.crops.length ? `
+                <h4>Predicted Yield by Crop</h4>
+                <table class="correlation-table">
+                    <thead>
+                        <tr><th>Crop</th><th>Fields</th><th>t/ha</th>${Object.keys(CropModel.DRIVERS).map(name => `<th title="${CropModel.DRIVERS[name].label}">${CropModel.DRIVERS[name].short}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${insights.crops.map(crop => `
+                            <tr>
+                                <td>${this.escapeHTML(crop.crop)}</td>
+                                <td>${crop.fields}</td>
+                                <td>${crop.value.toFixed(1)}</td>
+                                ${Object.keys(CropModel.DRIVERS).map(name => `<td>${this.formatEffect(crop.drivers[name])}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="control-hint">Mean effect of each driver on the typical yield. Bloom timing and intensity come from agricultural blooms within ${this.cropModel.radiusKm} km and ${this.cropModel.windowDays} days of each field's calendar bloom.</p>
+            ` : ''}
         `;
-        
-        // Add to statistics section
-        const statistics = document.querySelector('.statistics');
-        if (statistics) {
-            statistics.appendChild(agriculturalStats);
-        }
     }
 
     togglePlayPause() {
@@ -1022,25 +2654,29 @@ class BloomWatch {
     }
 
     playAnimation() {
+        if (this.timeData.length === 0) return;
         this.isPlaying = true;
         this.animationInterval = setInterval(() => {
             this.currentTimeIndex = (this.currentTimeIndex + 1) % this.timeData.length;
             document.getElementById('timeSlider').value = this.currentTimeIndex;
             this.updateTimeSlider(this.currentTimeIndex);
             
-            // Update statistics during animation
-            this.updateStatistics();
-            this.updateEcosystemIndicators();
+            // Bloom statistics follow the filters; refresh the remaining panels
             this.updateAgriculturalInsights();
         }, 1000 / this.playbackSpeed);
     }
 
     pauseAnimation() {
+        const wasPlaying = this.isPlaying;
         this.isPlaying = false;
         if (this.animationInterval) {
             clearInterval(this.animationInterval);
             this.animationInterval = null;
         }
+        if (wasPlaying) {
+            this.runMLModel();
+            this.updateStatistics();
+        }
     }
 
     resetTime() {
@@ -1074,7 +2710,10 @@ class BloomWatch {
         const nearestBloom = this.findNearestBloom(latlng);
         
         if (nearestBloom) {
-            title.textContent = nearestBloom.species;
+            const siteKey = this.getPhenologySiteKey(nearestBloom);
+            const [site] = this.computePhenology(this.bloomData.filter(bloom => this.getPhenologySiteKey(bloom) === siteKey));
+
+            title.innerHTML = this.getSpeciesLink(nearestBloom.species);
             content.innerHTML = `
                 <div class="bloom-details">
                     <p><strong>Type:</strong> ${nearestBloom.type}</p>
@@ -1084,15 +2723,37 @@ class BloomWatch {
                     <p><strong>Date:</strong> ${nearestBloom.date.toLocaleDateString()}</p>
                     <p><strong>Coordinates:</strong> ${latlng.lat.toFixed(4)}, ${latlng.lng.toFixed(4)}</p>
                 </div>
+                <div class="bloom-details">
+                    <h4>Phenology: ${this.escapeHTML(siteKey.replace(/_/g, ' '))}</h4>
+                    ${site ? this.getPhenologyDetails(site) : '<p>Not enough observations to derive season metrics.</p>'}
+                </div>
             `;
         } else {
             title.textContent = 'No Bloom Data';
             content.innerHTML = '<p>No bloom data available at this location.</p>';
         }
+
+        if (this.map.hasLayer(this.climateSurface.layer)) {
+            content.insertAdjacentHTML('beforeend', this.getClimateSurfaceDetails(latlng));
+        }
         
         panel.style.display = 'block';
     }
 
+    getClimateSurfaceDetails(latlng) {
+        const values = this.climateSurface.valuesAt(latlng);
+        return `
+            <div class="bloom-details">
+                <h4>Interpolated Climate (${ClimateSurface.METHODS[this.climateSurface.method]})</h4>
+                ${Object.keys(ClimateCorrelation.VARIABLES).map(variable => {
+                    const info = ClimateCorrelation.VARIABLES[variable];
+                    return `<p><strong>${info.label}:</strong> ${this.formatOptional(values[variable], ' ' + info.unit)}</p>`;
+                }).join('')}
+                <p class="control-hint">${this.escapeHTML(this.climateSurface.period)}; n/a beyond ${this.climateSurface.surface.maxDistanceKm} km of a station.</p>
+            </div>
+        `;
+    }
+
     findNearestBloom(latlng) {
         let nearest = null;
         let minDistance = Infinity;
@@ -1112,33 +2773,658 @@ class BloomWatch {
         document.getElementById('bloomInfoPanel').style.display = 'none';
     }
 
+    // Species names in popups and panels open the species profile
+    getSpeciesLink(species) {
+        return `<a href="#" class="species-link" data-species="${this.escapeHTML(species)}">${this.escapeHTML(species)}</a>`;
+    }
+
+    setupSpeciesProfile() {
+        // Popups are created on demand, so links are handled for the whole document
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.species-link');
+            if (!link) return;
+            e.preventDefault();
+            this.openSpeciesProfile(link.dataset.species);
+        });
+
+        document.getElementById('speciesProfile').addEventListener('click', (e) => {
+            if (e.target.closest('#toggleSpeciesRange')) this.toggleSpeciesRange();
+        });
+
+        document.getElementById('closeSpeciesModal').addEventListener('click', () => {
+            this.closeSpeciesProfile();
+        });
+    }
+
+    openSpeciesProfile(species) {
+        this.speciesProfile = species;
+        this.renderSpeciesProfile();
+        document.getElementById('speciesModal').classList.add('open');
+    }
+
+    closeSpeciesProfile() {
+        document.getElementById('speciesModal').classList.remove('open');
+    }
+
+    // Satellite blooms and citizen observations under any name the catalogue knows the species by
+    getSpeciesRecords(species) {
+        const entry = this.speciesCatalogue.find(species);
+        const matches = record => entry ? this.speciesCatalogue.find(record.species) === entry : record.species === species;
+        return this.bloomData.filter(matches)
+            .concat(this.citizenData.filter(observation => observation.status !== 'rejected' && matches(observation)));
+    }
+
+    // The time window when one is selected, otherwise the latest period
+    getCurrentPeriod() {
+        if (this.filters.timeIndex !== null) return this.getTimeWindow();
+        return this.timeData.length ? this.timeData[this.timeData.length - 1] : null;
+    }
+
+    renderSpeciesProfile() {
+        const species = this.speciesProfile;
+        const entry = this.speciesCatalogue.find(species);
+        const records = this.getSpeciesRecords(species);
+        const calendar = this.speciesCatalogue.getCalendar(records);
+        const period = this.getCurrentPeriod();
+        const hemispheres = { north: 'Northern Hemisphere', south: 'Southern Hemisphere' };
+
+        document.getElementById('speciesTitle').textContent = entry ? entry.name : species;
+        const calendars = Object.keys(hemispheres)
+            .filter(hemisphere => calendar[hemisphere].some(count => count > 0) || (entry && records.length === 0))
+            .map(hemisphere => this.getSpeciesCalendarSVG(calendar[hemisphere], entry ? entry.flowering[hemisphere] : [], hemispheres[hemisphere]));
+
+        document.getElementById('speciesProfile').innerHTML = `
+            <div class="bloom-details">
+                ${entry ? `
+                    <p><strong>Scientific Name:</strong> <em>${this.escapeHTML(entry.scientificName)}</em></p>
+                    <p><strong>Also Known As:</strong> ${entry.commonNames.map(name => this.escapeHTML(name)).join(', ')}</p>
+                    <p><strong>Records in Native Range:</strong> ${records.filter(record => this.speciesCatalogue.isNative(entry, record.lat, record.lng)).length.toLocaleString()} of ${records.length.toLocaleString()}</p>
+                    <div class="aoi-actions">
+                        <button class="aoi-btn" id="toggleSpeciesRange"><i class="fas fa-map"></i> ${this.isSpeciesRangeShown(entry) ? 'Hide' : 'Show'} Native Range</button>
+                    </div>
+                ` : '<p class="control-hint">This species is not in the catalogue, so only its observed records are shown.</p>'}
+            </div>
+            <h4>Bloom Calendar</h4>
+            ${calendars.join('')}
+            <p class="control-hint">Satellite blooms and citizen observations per month, ${records.length.toLocaleString()} records in all${entry ? '; shaded months are when the species is expected to flower' : ''}.</p>
+            ${period ? this.getSpeciesNowDetails(entry, records, period) : ''}
+            ${period ? this.getSpeciesYearDetails(records, period.start.getFullYear(), hemispheres) : ''}
+        `;
+    }
+
+    getSpeciesCalendarSVG(counts, expected, label) {
+        const width = 500;
+        const height = 130;
+        const margin = { top: 20, right: 10, bottom: 20, left: 35 };
+        const slot = (width - margin.left - margin.right) / 12;
+        const max = Math.max(1, ...counts);
+        const barHeight = count => count / max * (height - margin.top - margin.bottom);
+
+        return `
+            <svg class="species-calendar" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label} bloom calendar">
+                <text x="${margin.left}" y="12" font-size="12" fill="#374151">${label}</text>
+                <g fill="#d1fae5">
+                    ${expected.map(month => `<rect x="${margin.left + (month - 1) * slot}" y="${margin.top}" width="${slot}" height="${height - margin.top - margin.bottom}"></rect>`).join('')}
+                </g>
+                <g fill="#e91e63">
+                    ${counts.map((count, month) => `<rect x="${(margin.left + month * slot + 3).toFixed(1)}" y="${(height - margin.bottom - barHeight(count)).toFixed(1)}" width="${(slot - 6).toFixed(1)}" height="${barHeight(count).toFixed(1)}"><title>${SpeciesCatalogue.MONTHS[month]}: ${count}</title></rect>`).join('')}
+                </g>
+                <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#9ca3af"></line>
+                <g font-size="11" fill="#6b7280">
+                    ${SpeciesCatalogue.MONTHS.map((month, i) => `<text x="${(margin.left + (i + 0.5) * slot).toFixed(1)}" y="${height - 5}" text-anchor="middle">${month}</text>`).join('')}
+                    <text x="${margin.left - 5}" y="${margin.top + 10}" text-anchor="end">${max}</text>
+                    <text x="${margin.left - 5}" y="${height - margin.bottom}" text-anchor="end">0</text>
+                </g>
+            </svg>
+        `;
+    }
+
+    getSpeciesNowDetails(entry, records, period) {
+        const current = records.filter(record => record.date >= period.start && record.date < period.end);
+        const byCountry = {};
+        current.forEach(record => {
+            byCountry[record.country] = (byCountry[record.country] || 0) + 1;
+        });
+        const countries = Object.keys(byCountry).sort((a, b) => byCountry[b] - byCountry[a]);
+        // Expected flowering is judged at the middle of the period
+        const month = new Date((period.start.getTime() + period.end.getTime()) / 2).getMonth() + 1;
+        const expected = entry ? [['north', 'Northern'], ['south', 'Southern']]
+            .filter(([hemisphere]) => entry.flowering[hemisphere].includes(month))
+            .map(([, name]) => name) : [];
+
+        return `
+            <h4>Blooming Now: ${this.escapeHTML(this.getTimeWindowLabel(period))}</h4>
+            ${countries.length ? countries.map(country => `
+                <div class="stat-item">
+                    <span class="stat-label">${this.escapeHTML(country)}</span>
+                    <span class="stat-value">${byCountry[country]}</span>
+                </div>
+            `).join('') : '<p class="control-hint">No records in this period.</p>'}
+            ${entry ? `<p class="control-hint">${expected.length ? `Expected in flower in the ${expected.join(' and ')} Hemisphere${expected.length > 1 ? 's' : ''}.` : 'Not expected in flower in either hemisphere.'}</p>` : ''}
+        `;
+    }
+
+    getSpeciesYearDetails(records, year, hemispheres) {
+        const comparison = this.speciesCatalogue.compareYears(records, year);
+        if (comparison.years.length === 0) return '';
+        const { current, prior } = comparison;
+
+        return `
+            <h4>${year} Compared with Prior Years (${hemispheres[comparison.hemisphere]})</h4>
+            <table class="correlation-table">
+                <thead>
+                    <tr><th>Year</th><th>Records</th><th>Mean Bloom Date</th></tr>
+                </thead>
+                <tbody>
+                    ${comparison.years.map(entry => `
+                        <tr${entry.year === year ? ' class="significant"' : ''}>
+                            <td>${entry.year}</td>
+                            <td>${entry.count.toLocaleString()}</td>
+                            <td>${PhenologyEngine.formatDayOfYear(Math.round(entry.meanDay))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="control-hint">${!current ? `No records in ${year} yet.`
+                : !prior ? `No records before ${year} to compare with.`
+                : `${this.formatDaysFromNormal(comparison.daysFromPrior)} against the mean of ${prior.years} prior year${prior.years === 1 ? '' : 's'} (${PhenologyEngine.formatDayOfYear(Math.round(prior.meanDay))}), with ${current.count.toLocaleString()} records against ${prior.count.toFixed(1)} a year.`}</p>
+        `;
+    }
+
+    isSpeciesRangeShown(entry) {
+        return this.speciesRangeLayer.getLayers().some(layer => layer.speciesId === entry.id);
+    }
+
+    // One native range is shown at a time
+    toggleSpeciesRange() {
+        const entry = this.speciesCatalogue.find(this.speciesProfile);
+        if (!entry) return;
+        const shown = this.isSpeciesRangeShown(entry);
+        this.speciesRangeLayer.clearLayers();
+
+        if (!shown) {
+            const range = this.speciesCatalogue.getRange(entry);
+            const layer = L.geoJSON(range.geometry, {
+                interactive: false,
+                style: { color: '#2e7d32', weight: 2, dashArray: '6 4', fillOpacity: 0.08 }
+            });
+            layer.speciesId = entry.id;
+            this.speciesRangeLayer.addLayer(layer);
+            this.map.fitBounds(range.bounds);
+        }
+        this.renderSpeciesProfile();
+    }
+
+    setupContributionForm() {
+        const countrySelect = document.getElementById('contributionCountry');
+        countrySelect.innerHTML = Object.keys(this.getSpeciesByCountry()).map(country =>
+            `<option value="${country}">${country}</option>`
+        ).join('');
+        countrySelect.addEventListener('change', (e) => {
+            this.updateSpeciesSuggestions(e.target.value);
+        });
+
+        document.getElementById('contributionStage').innerHTML = Object.keys(ContributionStore.STAGES).map(stage =>
+            `<option value="${stage}"${stage === 'peak' ? ' selected' : ''}>${ContributionStore.STAGES[stage]}</option>`
+        ).join('');
+
+        document.getElementById('pickLocationBtn').addEventListener('click', () => {
+            this.startLocationPick();
+        });
+
+        document.getElementById('gpsLocationBtn').addEventListener('click', () => {
+            this.useCurrentLocation();
+        });
+
+        document.getElementById('closeContributionModal').addEventListener('click', () => {
+            this.closeContributionModal();
+        });
+
+        document.getElementById('cancelContribution').addEventListener('click', () => {
+            this.closeContributionModal();
+        });
+
+        document.getElementById('submitContribution').addEventListener('click', () => {
+            this.submitContribution();
+        });
+
+        const endpoint = document.getElementById('contributionEndpoint');
+        endpoint.value = this.contributions.endpoint;
+        endpoint.addEventListener('change', (e) => {
+            this.contributions.setEndpoint(e.target.value);
+            this.syncContributions();
+        });
+
+        document.getElementById('syncContributionsBtn').addEventListener('click', () => {
+            this.syncContributions();
+        });
+
+        // Queued observations go out as soon as the connection returns
+        window.addEventListener('online', () => {
+            this.syncContributions();
+        });
+    }
+
     openContributionModal() {
-        // In a real implementation, this would open a modal for citizen science contributions
-        alert('Citizen Science Contribution feature would open here. This would allow users to submit their own bloom observations.');
+        document.getElementById('contributionErrors').innerHTML = '';
+        document.getElementById('contributionStatus').textContent = '';
+        document.getElementById('contributionSpecies').value = '';
+        document.getElementById('contributionPhoto').value = '';
+        document.getElementById('contributionDate').value = this.toDateInputValue(new Date());
+        document.getElementById('contributionDate').max = this.toDateInputValue(new Date());
+        this.updateSpeciesSuggestions(document.getElementById('contributionCountry').value);
+        document.getElementById('contributionModal').classList.add('open');
+    }
+
+    closeContributionModal() {
+        this.pickingLocation = false;
+        this.map.getContainer().classList.remove('picking-location');
+        document.getElementById('contributionModal').classList.remove('open');
+    }
+
+    // The chosen country's species come first, then every other known species
+    updateSpeciesSuggestions(country) {
+        const speciesByCountry = this.getSpeciesByCountry();
+        const species = new Set(speciesByCountry[country] || []);
+        Object.values(speciesByCountry).forEach(list => list.forEach(name => species.add(name)));
+        document.getElementById('speciesSuggestions').innerHTML = [...species].map(name =>
+            `<option value="${this.escapeHTML(name)}"></option>`
+        ).join('');
+    }
+
+    // Hides the form until the next map click
+    startLocationPick() {
+        this.pickingLocation = true;
+        this.map.getContainer().classList.add('picking-location');
+        document.getElementById('contributionModal').classList.remove('open');
+    }
+
+    setContributionLocation(latlng) {
+        document.getElementById('contributionLat').value = latlng.lat.toFixed(5);
+        document.getElementById('contributionLng').value = latlng.lng.toFixed(5);
+
+        // Suggest the nearest country the species lists know about
+        const countries = Object.keys(this.getSpeciesByCountry());
+        const nearest = countries.reduce((best, country) => {
+            const distance = this.map.distance(latlng, this.getCountryCoordinates(country));
+            return !best || distance < best.distance ? { country, distance } : best;
+        }, null);
+        document.getElementById('contributionCountry').value = nearest.country;
+        this.updateSpeciesSuggestions(nearest.country);
+
+        if (this.pickingLocation) {
+            this.pickingLocation = false;
+            this.map.getContainer().classList.remove('picking-location');
+            this.map.closePopup();
+            document.getElementById('contributionModal').classList.add('open');
+        }
+    }
+
+    useCurrentLocation() {
+        if (!navigator.geolocation) {
+            alert('This browser cannot provide a GPS location. Pick the location on the map instead.');
+            return;
+        }
+        const status = document.getElementById('contributionStatus');
+        status.textContent = 'Locating…';
+        navigator.geolocation.getCurrentPosition(position => {
+            status.textContent = `Located to within ${Math.round(position.coords.accuracy)} m`;
+            this.setContributionLocation(L.latLng(position.coords.latitude, position.coords.longitude));
+        }, error => {
+            console.warn('Geolocation failed:', error);
+            status.textContent = '';
+            alert(`Could not get your location: ${error.message}`);
+        }, { enableHighAccuracy: true, timeout: 15000 });
+    }
+
+    // Returns the form fields, or null after listing what is missing
+    readContributionForm() {
+        const fields = {
+            species: document.getElementById('contributionSpecies').value.trim(),
+            lat: parseFloat(document.getElementById('contributionLat').value),
+            lng: parseFloat(document.getElementById('contributionLng').value),
+            date: document.getElementById('contributionDate').value,
+            stage: document.getElementById('contributionStage').value,
+            observer: document.getElementById('contributionObserver').value.trim(),
+            country: document.getElementById('contributionCountry').value
+        };
+
+        const errors = [];
+        if (!fields.species) errors.push('Enter the species you observed.');
+        if (!Number.isFinite(fields.lat) || Math.abs(fields.lat) > 90 ||
+            !Number.isFinite(fields.lng) || Math.abs(fields.lng) > 180) {
+            errors.push('Set a location by clicking the map, using GPS or entering coordinates.');
+        }
+        if (!fields.date) {
+            errors.push('Enter the observation date.');
+        } else if (fields.date > this.toDateInputValue(new Date())) {
+            errors.push('The observation date cannot be in the future.');
+        }
+        if (!fields.observer) errors.push('Enter the observer name.');
+
+        document.getElementById('contributionErrors').innerHTML = errors.length
+            ? `<ul>${errors.map(error => `<li>${error}</li>`).join('')}</ul>`
+            : '';
+        return errors.length ? null : fields;
+    }
+
+    async submitContribution() {
+        const fields = this.readContributionForm();
+        if (!fields) return;
+
+        const photo = document.getElementById('contributionPhoto').files[0];
+        if (photo) {
+            fields.photo = photo;
+            fields.photoName = photo.name;
+        }
+
+        try {
+            const contribution = await this.contributions.add(fields);
+            const record = this.contributions.toCitizenRecord(contribution);
+            this.citizenData.push(record);
+            this.closeContributionModal();
+            // The time ranges follow the latest record, so a new observation extends them
+            this.rebuildTimeline();
+            this.renderCitizenData();
+            this.updateStatistics();
+            this.refreshModerationQueue();
+            this.updateContributionQueue();
+            this.syncContributions();
+        } catch (error) {
+            console.error('Error saving contribution:', error);
+            alert(`Could not save the observation: ${error.message}`);
+        }
+    }
+
+    // Adds observations saved in earlier sessions to the citizen data
+    async loadContributions() {
+        try {
+            const stored = await this.contributions.getAll();
+            const known = new Set(this.citizenData.map(observation => observation.id));
+            stored.filter(contribution => !known.has(contribution.id)).forEach(contribution => {
+                this.citizenData.push(this.contributions.toCitizenRecord(contribution));
+            });
+            this.renderCitizenData();
+            this.updateStatistics();
+            this.refreshModerationQueue();
+            this.updateContributionQueue();
+            this.syncContributions();
+        } catch (error) {
+            console.error('Error loading contributions:', error);
+        }
+    }
+
+    async syncContributions() {
+        const synced = await this.contributions.sync();
+        if (synced.length > 0) {
+            const states = new Map(synced.map(contribution => [contribution.id, contribution.syncState]));
+            // Replace the records so the keyed layer picks up the new state
+            this.citizenData = this.citizenData.map(observation =>
+                states.has(observation.id) ? Object.assign({}, observation, { syncState: states.get(observation.id) }) : observation
+            );
+            this.renderCitizenData();
+        }
+        this.updateContributionQueue();
+    }
+
+    async updateContributionQueue() {
+        const queued = (await this.contributions.getQueued()).length;
+        let text = 'No observations waiting to sync.';
+        if (queued > 0) {
+            text = `${queued} observation${queued === 1 ? '' : 's'} saved on this device, ${
+                this.contributions.endpoint ? 'waiting to sync.' : 'set a sync endpoint to upload.'
+            }`;
+        }
+        document.getElementById('contributionQueue').textContent = text;
+    }
+
+    setupModeration() {
+        const reviewer = document.getElementById('reviewerName');
+        reviewer.value = this.moderator.reviewer;
+        reviewer.addEventListener('change', (e) => {
+            this.moderator.setReviewer(e.target.value);
+        });
+
+        document.getElementById('reviewQueueBtn').addEventListener('click', () => {
+            this.openModerationPanel();
+        });
+
+        document.getElementById('closeModerationPanel').addEventListener('click', () => {
+            this.closeModerationPanel();
+        });
+
+        const list = document.getElementById('moderationList');
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const item = button.closest('.moderation-item');
+            const species = item.querySelector('.moderation-reclassify input').value.trim();
+            this.moderateObservation(item.dataset.id, button.dataset.action, species);
+        });
+        // The species suggestions follow the country of the observation being reclassified
+        list.addEventListener('focusin', (e) => {
+            if (e.target.matches('.moderation-reclassify input')) {
+                this.updateSpeciesSuggestions(e.target.closest('.moderation-item').dataset.country);
+            }
+        });
+    }
+
+    openModerationPanel() {
+        document.getElementById('moderationPanel').classList.add('open');
+        this.renderModerationQueue();
+    }
+
+    closeModerationPanel() {
+        document.getElementById('moderationPanel').classList.remove('open');
+    }
+
+    refreshModerationQueue() {
+        if (document.getElementById('moderationPanel').classList.contains('open')) {
+            this.renderModerationQueue();
+        }
+    }
+
+    // Where each species is known to grow according to the country species lists
+    getKnownSpeciesRange() {
+        const speciesByCountry = this.getSpeciesByCountry();
+        return Object.keys(speciesByCountry).reduce((range, country) => {
+            const coordinates = this.getCountryCoordinates(country);
+            return range.concat(speciesByCountry[country].map(species => ({ species, lat: coordinates.lat, lng: coordinates.lng })));
+        }, []);
+    }
+
+    // Covers every pending observation, whatever the time window and region filters
+    renderModerationQueue() {
+        const queue = this.moderator.getQueue(this.citizenData, this.bloomData, this.getKnownSpeciesRange());
+        const flagged = queue.filter(entry => entry.flags.length > 0).length;
+        const shown = queue.slice(0, ObservationModerator.PAGE_SIZE);
+
+        document.getElementById('moderationSummary').textContent = queue.length === 0
+            ? 'No observations are waiting for review.'
+            : `${queue.length} pending, ${flagged} flagged${queue.length > shown.length ? `; showing the first ${shown.length}` : ''}.`;
+
+        document.getElementById('moderationList').innerHTML = shown.map(({ observation, flags }) => `
+            <div class="moderation-item${flags.length ? ' flagged' : ''}" data-id="${this.escapeHTML(observation.id)}" data-country="${this.escapeHTML(observation.country)}">
+                <h4>${this.escapeHTML(observation.species)}</h4>
+                ${observation.photoUrl ? `<img class="citizen-photo" src="${this.escapeHTML(observation.photoUrl)}" alt="${this.escapeHTML(observation.species)}">` : ''}
+                <p>${observation.date.toLocaleDateString()} · ${this.escapeHTML(observation.country)}${observation.stage ? ` · ${ContributionStore.STAGES[observation.stage]}` : ''}</p>
+                <p>${this.escapeHTML(observation.observer)}</p>
+                ${flags.length ? `<ul class="moderation-flags">${flags.map(flag => `<li>${this.escapeHTML(flag.message)}</li>`).join('')}</ul>` : ''}
+                <div class="aoi-actions">
+                    <button class="aoi-btn" data-action="zoom"><i class="fas fa-search-location"></i> Zoom</button>
+                    <button class="aoi-btn" data-action="approve"><i class="fas fa-check"></i> Approve</button>
+                    <button class="aoi-btn" data-action="reject"><i class="fas fa-times"></i> Reject</button>
+                </div>
+                <div class="moderation-reclassify">
+                    <input type="text" class="control-select" list="speciesSuggestions" placeholder="Correct species" autocomplete="off">
+                    <button class="aoi-btn" data-action="reclassify"><i class="fas fa-exchange-alt"></i> Reclassify</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async moderateObservation(id, action, species) {
+        const observation = this.citizenData.find(record => record.id === id);
+        if (!observation) return;
+
+        if (action === 'zoom') {
+            this.zoomToObservation(observation);
+            return;
+        }
+        if (!this.moderator.reviewer) {
+            alert('Enter your name as reviewer before approving or rejecting observations.');
+            document.getElementById('reviewerName').focus();
+            return;
+        }
+        if (action === 'reclassify' && !species) {
+            alert('Enter the correct species to reclassify this observation.');
+            return;
+        }
+
+        const reviewed = action === 'reclassify'
+            ? this.moderator.reclassify(observation, species)
+            : this.moderator[action](observation);
+        // A new array and record, so the temporal index and the keyed layer pick up the change
+        this.citizenData = this.citizenData.map(record => record === observation ? reviewed : record);
+        this.renderCitizenData();
+        this.updateStatistics();
+        // Validated observations count towards biodiversity
+        this.updateEcosystemIndicators();
+        this.renderModerationQueue();
+
+        if (reviewed.contributed) {
+            try {
+                await this.contributions.update(reviewed.id, {
+                    species: reviewed.species,
+                    originalSpecies: reviewed.originalSpecies,
+                    validated: reviewed.validated,
+                    status: reviewed.status,
+                    validatedBy: reviewed.validatedBy,
+                    validatedAt: reviewed.validatedAt.toISOString()
+                });
+            } catch (error) {
+                console.error('Error saving review:', error);
+                alert(`The review could not be saved on this device: ${error.message}`);
+            }
+        }
+    }
+
+    zoomToObservation(observation) {
+        if (!this.map.hasLayer(this.citizenLayer)) {
+            document.getElementById('showCitizenData').checked = true;
+            this.toggleCitizenData(true);
+        }
+        this.map.setView([observation.lat, observation.lng], Math.max(this.map.getZoom(), 10));
+        L.popup()
+            .setLatLng([observation.lat, observation.lng])
+            .setContent(this.getCitizenPopup(observation))
+            .openOn(this.map);
+    }
+
+    // yyyy-mm-dd in local time, as date inputs expect
+    toDateInputValue(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
     }
 
     updateStatistics() {
-        // Update statistics display
-        const activeBlooms = this.bloomData.length;
-        const superblooms = this.bloomData.filter(b => b.type === 'superbloom').length;
-        const speciesCount = new Set(this.bloomData.map(b => b.species)).size;
-        const avgConfidence = this.bloomData.reduce((sum, b) => sum + b.confidence, 0) / this.bloomData.length;
-        const countriesCount = new Set(this.bloomData.map(b => b.country)).size;
+        // Update statistics display from the blooms that pass the current filters
+        const blooms = this.getFilteredBloomData();
+        const activeBlooms = blooms.length;
+        const superblooms = blooms.filter(b => b.type === 'superbloom').length;
+        const speciesCount = new Set(blooms.map(b => b.species)).size;
+        const countriesCount = new Set(blooms.map(b => b.country)).size;
         
         document.getElementById('activeBlooms').textContent = activeBlooms.toLocaleString();
         document.getElementById('superblooms').textContent = superblooms;
         document.getElementById('speciesCount').textContent = speciesCount;
-        document.getElementById('predictionAccuracy').textContent = (avgConfidence * 100).toFixed(1) + '%';
+        
+        // Accuracy comes from the held-out validation split of the active model
+        const accuracy = document.getElementById('predictionAccuracy');
+        const result = this.mlResult;
+        accuracy.textContent = result && result.accuracy !== null ? (result.accuracy * 100).toFixed(1) + '%' : 'n/a';
+        accuracy.title = result ? result.accuracyLabel : '';
         
         // Update citizen science stats
-        const globeObservations = this.citizenData.length;
-        const validatedBlooms = this.citizenData.filter(c => c.validated).length;
+        const observations = this.getFilteredCitizenData();
+        const globeObservations = observations.length;
+        const validatedBlooms = observations.filter(c => c.validated).length;
         
         document.getElementById('globeObservations').textContent = globeObservations.toLocaleString();
         document.getElementById('validatedBlooms').textContent = validatedBlooms.toLocaleString();
+        document.getElementById('reviewQueueCount').textContent =
+            this.citizenData.filter(observation => this.moderator.isPending(observation)).length.toLocaleString();
         
         // Add global statistics
         this.updateGlobalStatistics(countriesCount);
+        this.updateAreaStatistics();
+    }
+
+    updateAreaStatistics() {
+        let areaStats = document.querySelector('.aoi-statistics');
+        const area = this.areasOfInterest.get(this.selectedRegion);
+        if (!area) {
+            if (areaStats) areaStats.remove();
+            return;
+        }
+
+        if (!areaStats) {
+            areaStats = document.createElement('div');
+            areaStats.className = 'aoi-statistics';
+            const statistics = document.querySelector('.statistics');
+            if (statistics) {
+                statistics.appendChild(areaStats);
+            }
+        }
+
+        // The filtered getters already restrict every layer to the selected area
+        const summary = this.areasOfInterest.summarize({
+            blooms: this.getFilteredBloomData(),
+            citizen: this.getFilteredCitizenData(),
+            climate: this.getFilteredClimateData(),
+            agricultural: this.getFilteredAgriculturalData()
+        });
+        const maxIntensity = Math.max(1, ...Object.values(summary.intensityDistribution));
+        const totalSpecies = summary.speciesMix.reduce((sum, s) => sum + s.count, 0);
+
+        areaStats.innerHTML = `
+            <h3><i class="fas fa-draw-polygon"></i> ${this.escapeHTML(area.name)}</h3>
+            <div class="stat-item">
+                <span class="stat-label">Blooms:</span>
+                <span class="stat-value">${summary.bloomCount}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Citizen Observations:</span>
+                <span class="stat-value">${summary.citizenCount}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Climate Stations:</span>
+                <span class="stat-value">${summary.climateCount}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Agricultural Fields:</span>
+                <span class="stat-value">${summary.fieldCount}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Avg Confidence:</span>
+                <span class="stat-value">${this.formatOptional(summary.averageConfidence === null ? null : summary.averageConfidence * 100, '%')}</span>
+            </div>
+            <h4>Intensity Distribution</h4>
+            ${DataSourceAdapter.INTENSITIES.map(level => `
+                <div class="distribution-row">
+                    <span class="distribution-label">${level}</span>
+                    <span class="distribution-bar" style="width: ${(summary.intensityDistribution[level] / maxIntensity) * 100}%; background: ${this.getBloomColor(level)}"></span>
+                    <span class="distribution-count">${summary.intensityDistribution[level]}</span>
+                </div>
+            `).join('')}
+            <h4>Species Mix</h4>
+            ${summary.speciesMix.slice(0, 5).map(entry => `
+                <div class="stat-item">
+                    <span class="stat-label">${this.escapeHTML(entry.species)}</span>
+                    <span class="stat-value">${entry.count} (${((entry.count / totalSpecies) * 100).toFixed(0)}%)</span>
+                </div>
+            `).join('') || '<p class="control-hint">No species recorded in this area.</p>'}
+        `;
     }
 
     updateGlobalStatistics(countriesCount) {
@@ -1161,22 +3447,70 @@ class BloomWatch {
             </div>
             <div class="stat-item">
                 <span class="stat-label">Climate Stations:</span>
-                <span class="stat-value">${this.climateData.length}</span>
+                <span class="stat-value">${this.getFilteredClimateData().length}</span>
             </div>
             <div class="stat-item">
                 <span class="stat-label">Agricultural Fields:</span>
-                <span class="stat-value">${this.agriculturalData.length}</span>
+                <span class="stat-value">${this.getFilteredAgriculturalData().length}</span>
             </div>
             <div class="stat-item">
                 <span class="stat-label">Current Region:</span>
-                <span class="stat-value">${this.selectedRegion}</span>
+                <span class="stat-value">${this.escapeHTML(this.getRegionName(this.selectedRegion))}</span>
             </div>
         `;
     }
 
+    getRegionName(region) {
+        return region === 'global' ? 'Global' : this.regionBoundaries.getName(region);
+    }
+
     updateLegend() {
         const gradient = document.getElementById('legendGradient');
         gradient.style.background = 'linear-gradient(to right, #90EE90, #FFD700, #FF8C00, #FF4500)';
+
+        document.getElementById('predictionLegend').style.display = this.map.hasLayer(this.predictionLayer) ? 'block' : 'none';
+
+        const anomalyLegend = document.getElementById('anomalyLegend');
+        anomalyLegend.style.display = this.map.hasLayer(this.anomalyLayer) ? 'block' : 'none';
+        anomalyLegend.querySelector('.legend-gradient').style.background = `linear-gradient(to right, ${
+            [-30, -15, 0, 15, 30].map(days => BloomAnomalyDetector.colorForDays(days)).join(', ')
+        })`;
+
+        const radarProduct = RadarLayer.PRODUCTS[this.radar.product];
+        this.updateRasterLegend('radarLegend', this.radar, radarProduct.label, radarProduct.stops, radarProduct.unit);
+        this.updateRasterLegend('vegetationLegend', this.vegetation,
+            VegetationIndexLayer.INDICES[this.vegetation.index].label, this.vegetation.stops);
+        const climateVariable = ClimateCorrelation.VARIABLES[this.climateSurface.variable];
+        this.updateRasterLegend('climateSurfaceLegend', this.climateSurface,
+            climateVariable.label, this.climateSurface.stops, climateVariable.unit);
+
+        const phenologyLegend = document.getElementById('phenologyLegend');
+        phenologyLegend.style.display = this.map.hasLayer(this.phenologyLayer) ? 'block' : 'none';
+        phenologyLegend.querySelector('.legend-gradient').style.background = `linear-gradient(to right, ${
+            [1, 60, 121, 182, 244, 305, 365].map(day => PhenologyEngine.colorForDay(day)).join(', ')
+        })`;
+    }
+
+    updateRasterLegend(id, rasterLayer, label, stops, unit = '') {
+        const legend = document.getElementById(id);
+        const format = value => `${Number(value.toFixed(2))}${unit ? ' ' + unit : ''}`;
+        legend.style.display = this.map.hasLayer(rasterLayer.layer) ? 'block' : 'none';
+        legend.querySelector('h4').textContent = label;
+        legend.querySelector('.legend-gradient').style.background = RasterOverlay.gradient(stops);
+        legend.querySelector('.legend-labels').innerHTML = [stops[0][0], stops[stops.length - 1][0]]
+            .map(value => `<span>${format(value)}</span>`).join('');
+        legend.querySelector('.control-hint').innerHTML = rasterLayer.describeSources(value => this.escapeHTML(value)) ||
+            'Set a tile URL or open a GeoTIFF to show this layer.';
+    }
+
+    escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    formatOptional(value, suffix = '', digits = 1) {
+        return value === null || value === undefined ? 'n/a' : `${value.toFixed(digits)}${suffix}`;
     }
 
     showLoadingSpinner() {